@@ -0,0 +1,21 @@
+-- migration: 005_add_refresh_tokens.sql
+-- description: store rotating refresh tokens so access tokens can be short-lived
+
+-- refresh_tokens table
+-- only a sha-256 hash of each token is stored; tokens issued from the same
+-- login share a family_id so reuse of a rotated token can revoke the family
+create table if not exists refresh_tokens (
+  tokenid serial primary key,
+  accountid integer not null,
+  family_id text not null,
+  token_hash text not null unique,
+  created_at timestamp default current_timestamp,
+  expires_at timestamp not null,
+  used_at timestamp,
+  revoked_at timestamp,
+  foreign key(accountid) references accounts(accountid)
+);
+
+-- create indexes for optimization
+create index if not exists idx_refresh_tokens_account on refresh_tokens(accountid);
+create index if not exists idx_refresh_tokens_family on refresh_tokens(family_id);
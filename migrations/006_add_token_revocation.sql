@@ -0,0 +1,18 @@
+-- migration: 006_add_token_revocation.sql
+-- description: track revoked access tokens so logout takes effect server-side
+
+-- revoked_tokens table
+-- rows only need to live until the token would have expired anyway
+create table if not exists revoked_tokens (
+  jti text primary key,
+  accountid integer not null,
+  expires_at timestamp not null,
+  revoked_at timestamp default current_timestamp,
+  foreign key(accountid) references accounts(accountid)
+);
+
+-- tokens issued at or before this time are rejected (logout from all devices)
+alter table accounts add column if not exists tokens_revoked_before timestamp;
+
+-- create indexes for optimization
+create index if not exists idx_revoked_tokens_expires on revoked_tokens(expires_at);
@@ -0,0 +1,19 @@
+-- migration: 007_add_sessions.sql
+-- description: track signed-in devices so sessions can be listed and revoked
+
+-- sessions table
+-- sessionid doubles as the refresh token family id for that login
+create table if not exists sessions (
+  sessionid text primary key,
+  accountid integer not null,
+  device_name text,
+  user_agent text,
+  ip_address text,
+  created_at timestamp default current_timestamp,
+  last_seen_at timestamp default current_timestamp,
+  revoked_at timestamp,
+  foreign key(accountid) references accounts(accountid)
+);
+
+-- create indexes for optimization
+create index if not exists idx_sessions_account on sessions(accountid);
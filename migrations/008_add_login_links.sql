@@ -0,0 +1,9 @@
+-- migration: 008_add_login_links.sql
+-- description: let a login attempt also be completed through a one-time link
+
+-- sha-256 hash of the link token emailed alongside the code; the code and
+-- the link share the attempt row, so using either one marks both as used
+alter table login_attempts add column if not exists link_token_hash text;
+
+-- create indexes for optimization
+create unique index if not exists idx_attempts_link_token on login_attempts(link_token_hash);
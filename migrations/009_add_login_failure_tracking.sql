@@ -0,0 +1,14 @@
+-- migration: 009_add_login_failure_tracking.sql
+-- description: count wrong login-code guesses per code and back off per email
+
+-- wrong guesses made while this code was active; the code is burned at the limit
+alter table login_attempts add column if not exists failed_attempts integer not null default 0;
+
+-- login_lockouts table
+-- consecutive failed verifications per email, used for exponential backoff
+create table if not exists login_lockouts (
+  email text primary key,
+  failed_count integer not null default 0,
+  last_failed_at timestamp,
+  locked_until timestamp
+);
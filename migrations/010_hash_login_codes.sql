@@ -0,0 +1,13 @@
+-- migration: 010_hash_login_codes.sql
+-- description: store login codes as a keyed hash instead of plaintext
+
+-- hmac-sha256 of the code, keyed with LOGIN_CODE_SECRET (or JWT_SECRET)
+alter table login_attempts add column if not exists code_hash text;
+
+-- existing codes can't be hashed here because the key lives outside the
+-- database, so expire any still-pending ones (they are valid for 10 minutes
+-- at most) and drop the plaintext column along with its index
+update login_attempts set is_used = true where is_used = false;
+
+drop index if exists idx_attempts_code;
+alter table login_attempts drop column if exists code;
@@ -0,0 +1,5 @@
+-- migration: 011_add_account_roles.sql
+-- description: add roles to accounts for role-based access control
+
+alter table accounts add column if not exists role text not null default 'user'
+  check(role in ('user', 'editor', 'admin'));
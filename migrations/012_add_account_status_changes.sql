@@ -0,0 +1,17 @@
+-- migration: 012_add_account_status_changes.sql
+-- description: record why and by whom accounts were deactivated or reactivated
+
+-- account_status_changes table (append-only audit history)
+create table if not exists account_status_changes (
+  changeid serial primary key,
+  accountid integer not null,
+  is_active boolean not null,
+  reason text not null,
+  changed_by integer,
+  created_at timestamp default current_timestamp,
+  foreign key(accountid) references accounts(accountid),
+  foreign key(changed_by) references accounts(accountid)
+);
+
+-- create indexes for optimization
+create index if not exists idx_status_changes_account on account_status_changes(accountid);
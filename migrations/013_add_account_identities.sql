@@ -0,0 +1,18 @@
+-- migration: 013_add_account_identities.sql
+-- description: link accounts to external identity providers (sign in with apple)
+
+-- account_identities table
+create table if not exists account_identities (
+  identityid serial primary key,
+  accountid integer not null,
+  provider text not null check(provider in ('apple')),
+  subject text not null,
+  email text,
+  created_at timestamp default current_timestamp,
+  last_used_at timestamp default current_timestamp,
+  foreign key(accountid) references accounts(accountid),
+  unique(provider, subject)
+);
+
+-- create indexes for optimization
+create index if not exists idx_identities_account on account_identities(accountid);
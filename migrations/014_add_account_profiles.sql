@@ -0,0 +1,9 @@
+-- migration: 014_add_account_profiles.sql
+-- description: add profile details and notification preferences to accounts
+
+alter table accounts add column if not exists display_name text;
+alter table accounts add column if not exists preferred_language text;
+alter table accounts add column if not exists native_language text;
+alter table accounts add column if not exists timezone text;
+alter table accounts add column if not exists notify_practice_reminders boolean not null default false;
+alter table accounts add column if not exists notify_product_updates boolean not null default false;
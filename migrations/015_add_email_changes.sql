@@ -0,0 +1,19 @@
+-- migration: 015_add_email_changes.sql
+-- description: track pending email address changes confirmed by a code sent to the new address
+
+-- email_changes table
+create table if not exists email_changes (
+  changeid serial primary key,
+  accountid integer not null,
+  old_email text not null,
+  new_email text not null,
+  code_hash text not null,
+  failed_attempts integer not null default 0,
+  is_used boolean default false,
+  created_at timestamp default current_timestamp,
+  completed_at timestamp,
+  foreign key(accountid) references accounts(accountid)
+);
+
+-- create indexes for optimization
+create index if not exists idx_email_changes_account on email_changes(accountid);
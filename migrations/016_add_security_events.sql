@@ -0,0 +1,20 @@
+-- migration: 016_add_security_events.sql
+-- description: append-only audit trail of authentication and account security events
+
+-- security_events table (append-only; rows are only removed with their account)
+create table if not exists security_events (
+  eventid serial primary key,
+  accountid integer,
+  email text,
+  event_type text not null,
+  outcome text not null check(outcome in ('success', 'failure', 'blocked')),
+  ip_address text,
+  user_agent text,
+  details jsonb,
+  created_at timestamp default current_timestamp,
+  foreign key(accountid) references accounts(accountid)
+);
+
+-- create indexes for optimization
+create index if not exists idx_security_events_account on security_events(accountid, created_at);
+create index if not exists idx_security_events_email on security_events(email);
@@ -0,0 +1,38 @@
+-- migration: 017_add_two_factor.sql
+-- description: optional totp two-factor authentication with recovery codes and login challenges
+
+-- two_factor_secrets table (one totp secret per account, encrypted at rest)
+create table if not exists two_factor_secrets (
+  accountid integer primary key,
+  secret_encrypted text not null,
+  confirmed_at timestamp,
+  last_used_step bigint,
+  created_at timestamp default current_timestamp,
+  foreign key(accountid) references accounts(accountid)
+);
+
+-- two_factor_recovery_codes table (single-use codes, stored hashed)
+create table if not exists two_factor_recovery_codes (
+  codeid serial primary key,
+  accountid integer not null,
+  code_hash text not null,
+  used_at timestamp,
+  created_at timestamp default current_timestamp,
+  foreign key(accountid) references accounts(accountid)
+);
+
+-- two_factor_challenges table (pending second step of a login)
+create table if not exists two_factor_challenges (
+  challengeid serial primary key,
+  accountid integer not null,
+  token_hash text not null unique,
+  method text not null,
+  failed_attempts integer not null default 0,
+  created_at timestamp default current_timestamp,
+  used_at timestamp,
+  foreign key(accountid) references accounts(accountid)
+);
+
+-- create indexes for optimization
+create index if not exists idx_recovery_codes_account on two_factor_recovery_codes(accountid);
+create index if not exists idx_challenges_account on two_factor_challenges(accountid);
@@ -0,0 +1,26 @@
+-- migration: 018_add_email_outbox.sql
+-- description: durable outbox for emails, delivered with retries by an in-process worker
+
+-- email_outbox table (bodies are cleared once a message is sent or has failed)
+create table if not exists email_outbox (
+  messageid serial primary key,
+  to_email text not null,
+  template text not null,
+  subject text not null,
+  html_body text,
+  text_body text,
+  status text not null default 'pending' check(status in ('pending', 'sending', 'sent', 'failed')),
+  attempts integer not null default 0,
+  next_attempt_at timestamp default current_timestamp,
+  expires_at timestamp,
+  claimed_at timestamp,
+  last_error text,
+  provider_message_id text,
+  created_at timestamp default current_timestamp,
+  last_attempt_at timestamp,
+  sent_at timestamp
+);
+
+-- create indexes for optimization
+create index if not exists idx_email_outbox_status on email_outbox(status, next_attempt_at);
+create index if not exists idx_email_outbox_to_email on email_outbox(to_email);
@@ -0,0 +1,20 @@
+-- migration: 019_add_email_suppressions.sql
+-- description: suppression list for hard-bounced and complaining addresses, plus delivery outcomes reported by the email provider
+
+-- email_suppressions table
+create table if not exists email_suppressions (
+  suppressionid serial primary key,
+  email text not null unique,
+  reason text not null check(reason in ('bounce', 'complaint')),
+  details text,
+  provider_message_id text,
+  created_at timestamp default current_timestamp
+);
+
+-- delivery outcomes reported by the provider's webhook
+alter table email_outbox add column if not exists delivered_at timestamp;
+alter table email_outbox add column if not exists bounced_at timestamp;
+alter table email_outbox add column if not exists complained_at timestamp;
+
+-- create indexes for optimization
+create index if not exists idx_email_outbox_provider_message on email_outbox(provider_message_id);
@@ -0,0 +1,23 @@
+-- migration: 020_add_languages.sql
+-- description: language registry replacing the hard-coded en/fr check on translations
+
+-- languages table
+create table if not exists languages (
+  code text primary key,
+  name text not null,
+  native_name text not null,
+  direction text not null default 'ltr' check(direction in ('ltr', 'rtl')),
+  is_enabled boolean not null default true,
+  created_at timestamp default current_timestamp,
+  updated_at timestamp default current_timestamp
+);
+
+-- the languages supported so far
+insert into languages (code, name, native_name) values
+  ('en', 'English', 'English'),
+  ('fr', 'French', 'Français')
+on conflict (code) do nothing;
+
+-- translations may use any registered language
+alter table translations drop constraint if exists translations_language_code_check;
+alter table translations add constraint fk_translations_language foreign key (language_code) references languages(code);
@@ -0,0 +1,19 @@
+-- migration: 021_add_prompt_sets.sql
+-- description: prompt_sets table giving each set a stable external key for imports and exports
+
+-- prompt_sets table (one row per set; prompts keep pointing at it by prompt_set_id)
+create table if not exists prompt_sets (
+  prompt_set_id integer primary key,
+  external_key text not null unique,
+  created_at timestamp default current_timestamp,
+  updated_at timestamp default current_timestamp
+);
+
+-- existing sets are keyed by their ID
+insert into prompt_sets (prompt_set_id, external_key, created_at, updated_at)
+select prompt_set_id, 'set-' || prompt_set_id::text, min(created_at), max(updated_at)
+from prompts
+group by prompt_set_id
+on conflict (prompt_set_id) do nothing;
+
+alter table prompts add constraint fk_prompts_prompt_set foreign key (prompt_set_id) references prompt_sets(prompt_set_id);
@@ -0,0 +1,22 @@
+-- migration: 022_add_prompt_sync.sql
+-- description: soft-deleted prompt sets and sync versions for delta downloads of prompts
+
+-- deleted sets keep their rows so clients can be sent a tombstone
+alter table prompt_sets add column if not exists deleted_at timestamp;
+
+-- sync_version is raised on every change to a set, one set at a time, so a
+-- client can ask for everything after the highest version it has seen
+alter table prompt_sets add column if not exists sync_version integer not null default 0;
+update prompt_sets set sync_version = prompt_set_id where sync_version = 0;
+
+-- every row has a change time
+update prompts set updated_at = coalesce(created_at, current_timestamp) where updated_at is null;
+update translations set updated_at = coalesce(created_at, current_timestamp) where updated_at is null;
+update prompt_sets set updated_at = coalesce(created_at, current_timestamp) where updated_at is null;
+alter table prompts alter column updated_at set not null;
+alter table translations alter column updated_at set not null;
+alter table prompt_sets alter column updated_at set not null;
+
+-- create indexes for optimization
+create index if not exists idx_prompt_sets_sync_version on prompt_sets(sync_version);
+create index if not exists idx_prompt_sets_updated_at on prompt_sets(updated_at);
@@ -0,0 +1,8 @@
+-- migration: 023_clear_plaintext_email_bodies.sql
+-- description: queued email bodies are now encrypted; drop unsent plaintext bodies holding login codes
+
+-- unsent messages from before encryption can't be decrypted, and their login codes must not stay readable
+update email_outbox
+set status = 'failed', last_error = 'discarded unencrypted body',
+    html_body = null, text_body = null, claimed_at = null
+where status in ('pending', 'sending');
@@ -0,0 +1,12 @@
+-- migration: 024_hash_email_suppressions.sql
+-- description: store suppressed addresses as SHA-256 hashes so the list can be kept after an account is deleted
+
+alter table email_suppressions add column if not exists email_hash text;
+update email_suppressions
+set email_hash = encode(sha256(convert_to(lower(trim(email)), 'UTF8')), 'hex')
+where email_hash is null;
+alter table email_suppressions alter column email_hash set not null;
+alter table email_suppressions drop column if exists email;
+
+-- create indexes for optimization
+create unique index if not exists idx_email_suppressions_email_hash on email_suppressions(email_hash);
@@ -0,0 +1,12 @@
+-- migration: 025_add_two_factor_lockouts.sql
+-- description: back off per account after wrong two-factor codes when enrolling or disabling
+
+-- two_factor_lockouts table
+-- consecutive wrong two-factor codes per account, used for exponential backoff
+create table if not exists two_factor_lockouts (
+  accountid integer primary key,
+  failed_count integer not null default 0,
+  last_failed_at timestamp,
+  locked_until timestamp,
+  foreign key(accountid) references accounts(accountid)
+);
@@ -7,7 +7,15 @@ import express from "express";
 import cors from "cors";
 import config from "./config/environment.js";
 import databaseService from "./services/databaseService.js";
+import authService from "./services/authService.js";
+import jwtKeyService from "./services/jwtKeyService.js";
+import emailService from "./services/emailService.js";
+import emailOutboxService from "./services/emailOutboxService.js";
+import languageService from "./services/languageService.js";
+import emailDomainService from "./services/emailDomainService.js";
+import demoAccountService from "./services/demoAccountService.js";
 import apiRoutes from "./routes/index.js";
+import wellKnownRoutes from "./routes/wellKnown.js";
 import { errorHandler, notFoundHandler } from "./middlewares/errorHandler.js";
 import { sanitizeInput, validateBodySize } from "./middlewares/validation.js";
 import logger from "./utils/logger.js";
@@ -26,14 +34,25 @@ export function createApp() {
   app.use(
     cors({
       origin: process.env.CORS_ORIGIN || "*",
-      methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-      allowedHeaders: ["Content-Type", "Authorization"],
+      methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
+      allowedHeaders: ["Content-Type", "Authorization", "If-None-Match"],
+      exposedHeaders: ["ETag", "X-Sync-Token"],
       credentials: true,
     })
   );
 
   // Request parsing middleware
-  app.use(express.json({ limit: "1mb" }));
+  app.use(
+    express.json({
+      limit: "1mb",
+      // webhook signatures cover the body exactly as it was sent
+      verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith("/api/v1/webhooks/")) {
+          req.rawBody = buf.toString("utf8");
+        }
+      },
+    })
+  );
   app.use(express.urlencoded({ extended: true, limit: "1mb" }));
 
   // Security middleware
@@ -55,6 +74,9 @@ export function createApp() {
   // API routes
   app.use("/api/v1", apiRoutes);
 
+  // Discovery documents (JWKS for other services verifying our tokens)
+  app.use("/.well-known", wellKnownRoutes);
+
   // Health check at root level (for load balancers)
   app.get("/health", (req, res) => {
     res.json({
@@ -77,11 +99,32 @@ export function createApp() {
         endpoints: [
           "GET /health - Health check",
           "GET /api/v1 - API information",
-          "GET /api/v1/prompts?language=en|fr - Get prompts (authenticated)",
+          "GET /.well-known/jwks.json - Public keys for verifying tokens",
+          "GET /api/v1/languages - List available languages",
+          "GET /api/v1/prompts?language=<code>&since=<sync token> - Get prompts or changes since a sync (authenticated)",
           "POST /api/v1/auth/request-login - Request login code",
           "POST /api/v1/auth/verify-login - Verify login code",
+          "POST /api/v1/auth/verify-link - Verify login link",
+          "POST /api/v1/auth/apple - Sign in with Apple",
+          "POST /api/v1/auth/verify-2fa - Answer a two-factor challenge",
+          "POST /api/v1/auth/refresh - Rotate refresh token",
           "GET /api/v1/auth/verify - Verify JWT token",
           "POST /api/v1/auth/logout - Logout user",
+          "POST /api/v1/auth/logout-all - Logout from all devices",
+          "GET /api/v1/auth/sessions - List signed-in devices",
+          "DELETE /api/v1/auth/sessions/:id - Revoke a signed-in device",
+          "GET /api/v1/auth/2fa - Get two-factor status",
+          "POST /api/v1/auth/2fa/enroll - Start two-factor enrolment",
+          "POST /api/v1/auth/2fa/confirm - Enable two-factor",
+          "POST /api/v1/auth/2fa/disable - Disable two-factor",
+          "GET /api/v1/me - Get profile",
+          "PATCH /api/v1/me - Update profile",
+          "POST /api/v1/account/email-change - Request email change",
+          "POST /api/v1/account/email-change/verify - Confirm email change",
+          "GET /api/v1/account/security-events - List security events",
+          "GET /api/v1/account/export - Export account data",
+          "DELETE /api/v1/account - Delete account",
+          "POST /api/v1/webhooks/email - Email provider delivery events (signed)",
         ],
         authentication: "Some endpoints require Bearer token authentication",
         rateLimit: "Rate limiting is applied to prevent abuse",
@@ -104,9 +147,69 @@ export function createApp() {
  */
 export async function initializeApp() {
   try {
+    // Load JWT signing keys so a bad key configuration fails at startup
+    jwtKeyService.loadKeys();
+    const signingKey = jwtKeyService.getSigningKey();
+    logger.info(
+      `🔑 Signing access tokens with key '${signingKey.kid}' (${signingKey.alg})`
+    );
+
+    // Check the email transport so a missing setting shows up at startup
+    if (emailService.isConfigured()) {
+      logger.info(
+        `📧 Sending email with the '${emailService.getTransport().name}' transport`
+      );
+    } else {
+      logger.warn(
+        `⚠️ Email transport '${emailService.transportName}' is not configured; login codes can't be sent`
+      );
+    }
+
+    // Load the disposable domain list so a missing file fails at startup
+    await emailDomainService.loadDisposableDomains();
+    if (
+      emailDomainService.restrictedSignup &&
+      emailDomainService.allowlist.size === 0
+    ) {
+      logger.warn(
+        "⚠️ RESTRICTED_SIGNUP is on but EMAIL_DOMAIN_ALLOWLIST is empty; no new accounts can be created"
+      );
+    }
+
+    if (demoAccountService.codeHashes.size > 0) {
+      if (demoAccountService.isEnabled()) {
+        logger.warn(
+          `🎭 Demo accounts enabled: ${[...demoAccountService.codeHashes.keys()].join(", ")}`
+        );
+      } else {
+        logger.warn(
+          `🎭 Demo accounts are configured but disabled in NODE_ENV=${config.nodeEnv}`
+        );
+      }
+    }
+
     // Initialize database
     await databaseService.initialize();
 
+    // Load the language registry so a broken languages table fails at startup
+    const languages = await languageService.getLanguages();
+    logger.info(
+      `🌐 Languages enabled: ${languages.map((language) => language.code).join(", ")}`
+    );
+
+    // Grant the admin role to accounts listed in ADMIN_EMAILS
+    const promoted = await authService.grantConfiguredAdmins();
+    if (promoted > 0) {
+      logger.info(`👑 Granted admin role to ${promoted} account(s)`);
+    }
+
+    // Periodically prune expired token revocations
+    authService.startRevocationCleanup();
+
+    // Deliver queued emails, including any left over from a previous run
+    emailOutboxService.startWorker();
+    emailOutboxService.processSoon();
+
     // Create and return Express app
     const app = createApp();
 
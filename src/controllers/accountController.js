@@ -0,0 +1,434 @@
+/**
+ * Account Controller
+ * Handles requests about the signed-in user's own account and profile
+ */
+
+import accountService from "../services/accountService.js";
+import authService from "../services/authService.js";
+import emailService from "../services/emailService.js";
+import emailDomainService from "../services/emailDomainService.js";
+import emailSuppressionService from "../services/emailSuppressionService.js";
+import securityEventService from "../services/securityEventService.js";
+import { asyncHandler } from "../middlewares/errorHandler.js";
+
+/**
+ * Format an account as the user's profile
+ * @param {Object} account - Account row
+ * @returns {Object} Profile
+ */
+function formatProfile(account) {
+  return {
+    accountId: account.accountid,
+    email: account.email,
+    role: account.role,
+    displayName: account.display_name,
+    preferredLanguage: account.preferred_language,
+    nativeLanguage: account.native_language,
+    timezone: account.timezone,
+    notifications: {
+      practiceReminders: account.notify_practice_reminders,
+      productUpdates: account.notify_product_updates,
+    },
+    createdAt: account.created_at,
+  };
+}
+
+/**
+ * Format a security event for responses
+ * @param {Object} event - Security event row
+ * @returns {Object} Event summary
+ */
+export function formatSecurityEvent(event) {
+  return {
+    id: event.eventid,
+    type: event.event_type,
+    outcome: event.outcome,
+    ipAddress: event.ip_address,
+    userAgent: event.user_agent,
+    details: event.details,
+    createdAt: event.created_at,
+  };
+}
+
+/**
+ * Check a fresh login code confirming a sensitive account action.
+ * Sends the error response itself when the code is not accepted.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} email - Email the code was sent to
+ * @param {string} code - Login code from the request
+ * @returns {Promise<boolean>} Whether the code was accepted
+ */
+async function confirmWithLoginCode(req, res, email, code) {
+  let backoff = await authService.getLoginBackoff(email);
+
+  if (!backoff) {
+    const context = {
+      ipAddress: req.ip || req.connection.remoteAddress || null,
+      userAgent: req.headers["user-agent"] || null,
+    };
+    if (await authService.verifyLoginCode(email, code, context)) {
+      return true;
+    }
+
+    // This failure may have started (or extended) the backoff
+    backoff = await authService.getLoginBackoff(email);
+  }
+
+  if (backoff) {
+    res.set("Retry-After", backoff.retryAfter);
+    res.status(429).json({
+      error: "Too many failed attempts",
+      message: `Too many incorrect login codes. Please try again in ${backoff.retryAfter} seconds.`,
+      retryAfter: backoff.retryAfter,
+      retryAt: backoff.retryAt.toISOString(),
+    });
+  } else {
+    res.status(401).json({
+      error: "Invalid or expired login code",
+      message: "The provided login code is invalid or has expired",
+    });
+  }
+
+  return false;
+}
+
+/**
+ * Get the current user's profile
+ * GET /api/v1/me
+ */
+export const getProfile = asyncHandler(async (req, res) => {
+  console.log(`📡 GET /api/v1/me for ${req.user.email}`);
+
+  try {
+    const account = await accountService.findAccountById(req.user.accountId);
+
+    if (!account) {
+      return res.status(404).json({
+        error: "Account not found",
+        message: "The account for this token no longer exists",
+      });
+    }
+
+    res.json({
+      success: true,
+      profile: formatProfile(account),
+    });
+  } catch (error) {
+    console.error("Error fetching profile:", error);
+    res.status(500).json({
+      error: "Failed to fetch profile",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Update the current user's profile
+ * PATCH /api/v1/me
+ */
+export const updateProfile = asyncHandler(async (req, res) => {
+  const {
+    displayName,
+    preferredLanguage,
+    nativeLanguage,
+    timezone,
+    notifications = {},
+  } = req.body;
+
+  console.log(`📡 PATCH /api/v1/me for ${req.user.email}`);
+
+  try {
+    const account = await accountService.updateProfile(req.user.accountId, {
+      displayName:
+        typeof displayName === "string"
+          ? displayName.trim() || null
+          : displayName,
+      preferredLanguage,
+      nativeLanguage,
+      timezone,
+      practiceReminders: notifications.practiceReminders,
+      productUpdates: notifications.productUpdates,
+    });
+
+    if (!account) {
+      return res.status(404).json({
+        error: "Account not found",
+        message: "The account for this token no longer exists",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Profile updated",
+      profile: formatProfile(account),
+    });
+  } catch (error) {
+    console.error("Error updating profile:", error);
+    res.status(500).json({
+      error: "Failed to update profile",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Start changing the current user's email: send a code to the new address
+ * and a notice to the current one
+ * POST /api/v1/account/email-change
+ */
+export const requestEmailChange = asyncHandler(async (req, res) => {
+  const { email: newEmail } = req.body;
+
+  console.log(`📡 POST /api/v1/account/email-change for ${req.user.email}`);
+
+  try {
+    const account = await accountService.findAccountById(req.user.accountId);
+
+    if (!account) {
+      return res.status(404).json({
+        error: "Account not found",
+        message: "The account for this token no longer exists",
+      });
+    }
+
+    if (newEmail === account.email) {
+      return res.status(400).json({
+        error: "Validation failed",
+        message: "The new email is the same as the current one",
+        field: "email",
+      });
+    }
+
+    if (await authService.findAccountByEmail(newEmail)) {
+      return res.status(409).json({
+        error: "Email already in use",
+        message: "Another account already uses this email address",
+      });
+    }
+
+    // the new address must be one a new account could sign up with
+    const blocked = await emailDomainService.checkEmail(newEmail, {
+      newAccount: true,
+    });
+    if (blocked) {
+      return res.status(403).json({
+        error: "Email not allowed",
+        message: blocked.message,
+        reason: blocked.reason,
+      });
+    }
+
+    // the confirmation code could never arrive at a suppressed address
+    const suppressed = await emailSuppressionService.checkEmail(newEmail);
+    if (suppressed) {
+      return res.status(422).json({
+        error: "Email undeliverable",
+        message: suppressed.message,
+        reason: suppressed.reason,
+      });
+    }
+
+    const code = await accountService.createEmailChange(account, newEmail);
+
+    if (!code) {
+      return res.status(429).json({
+        error: "Rate limit exceeded",
+        message: "Please wait before requesting another email change",
+      });
+    }
+
+    await emailService.sendEmailChangeCode(newEmail, code);
+
+    // the notice is informational; a failure must not block the change
+    try {
+      await emailService.sendEmailChangeNotice(account.email, newEmail);
+    } catch (error) {
+      console.error("Error sending email change notice:", error);
+    }
+
+    res.json({
+      success: true,
+      message: "Confirmation code sent to the new email address",
+    });
+  } catch (error) {
+    console.error("Error in email change request:", error);
+    res.status(500).json({
+      error: "Failed to request email change",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Confirm an email change with the code sent to the new address.
+ * Every existing session is signed out and this device gets new tokens
+ * carrying the new email.
+ * POST /api/v1/account/email-change/verify
+ */
+export const confirmEmailChange = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  console.log(
+    `📡 POST /api/v1/account/email-change/verify for ${req.user.email}`
+  );
+
+  try {
+    const result = await accountService.confirmEmailChange(
+      req.user.accountId,
+      code
+    );
+
+    if (!result) {
+      return res.status(401).json({
+        error: "Invalid or expired code",
+        message: "The provided confirmation code is invalid or has expired",
+      });
+    }
+
+    if (result.emailTaken) {
+      return res.status(409).json({
+        error: "Email already in use",
+        message: "Another account already uses this email address",
+      });
+    }
+
+    const loginResult = await authService.completeLoginForAccount(
+      result.account,
+      {
+        deviceName: null,
+        userAgent: req.headers["user-agent"] || null,
+        ipAddress: req.ip || req.connection.remoteAddress || null,
+      }
+    );
+
+    res.json({
+      success: true,
+      message: "Email changed",
+      token: loginResult.token,
+      expiresAt: loginResult.expiresAt,
+      refreshToken: loginResult.refreshToken,
+      refreshTokenExpiresAt: loginResult.refreshTokenExpiresAt,
+      sessionId: loginResult.sessionId,
+      account: loginResult.account,
+    });
+  } catch (error) {
+    console.error("Error in email change verification:", error);
+    res.status(500).json({
+      error: "Failed to change email",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * List the current user's recent security events
+ * GET /api/v1/account/security-events
+ */
+export const listSecurityEvents = asyncHandler(async (req, res) => {
+  const limit = parseInt(req.query.limit, 10) || undefined;
+
+  console.log(`📡 GET /api/v1/account/security-events for ${req.user.email}`);
+
+  try {
+    const events = await securityEventService.listEvents(
+      req.user.accountId,
+      limit
+    );
+
+    res.json({
+      success: true,
+      events: events.map(formatSecurityEvent),
+    });
+  } catch (error) {
+    console.error("Error listing security events:", error);
+    res.status(500).json({
+      error: "Failed to list security events",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Export everything stored about the current user as a JSON archive
+ * GET /api/v1/account/export
+ */
+export const exportAccount = asyncHandler(async (req, res) => {
+  console.log(`📡 GET /api/v1/account/export for ${req.user.email}`);
+
+  try {
+    const data = await accountService.exportAccountData(req.user.accountId);
+
+    if (!data) {
+      return res.status(404).json({
+        error: "Account not found",
+        message: "The account for this token no longer exists",
+      });
+    }
+
+    res.set(
+      "Content-Disposition",
+      `attachment; filename="chatterbox-account-${req.user.accountId}.json"`
+    );
+    res.json({
+      exportedAt: new Date().toISOString(),
+      ...data,
+    });
+  } catch (error) {
+    console.error("Error exporting account:", error);
+    res.status(500).json({
+      error: "Failed to export account",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Permanently delete the current user's account, confirmed with a login code
+ * DELETE /api/v1/account
+ */
+export const deleteAccount = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  console.log(`📡 DELETE /api/v1/account for ${req.user.email}`);
+
+  try {
+    const account = await accountService.findAccountById(req.user.accountId);
+
+    if (!account) {
+      return res.status(404).json({
+        error: "Account not found",
+        message: "The account for this token no longer exists",
+      });
+    }
+
+    if (!(await confirmWithLoginCode(req, res, account.email, code))) {
+      return;
+    }
+
+    await accountService.deleteAccount(account.accountid);
+
+    console.log(`🗑️ Account ${account.accountid} deleted`);
+
+    res.json({
+      success: true,
+      message: "Account deleted",
+    });
+  } catch (error) {
+    console.error("Error deleting account:", error);
+    res.status(500).json({
+      error: "Failed to delete account",
+      message: error.message,
+    });
+  }
+});
+
+export default {
+  getProfile,
+  updateProfile,
+  requestEmailChange,
+  confirmEmailChange,
+  listSecurityEvents,
+  exportAccount,
+  deleteAccount,
+};
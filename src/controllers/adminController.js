@@ -0,0 +1,406 @@
+/**
+ * Admin Controller
+ * Handles admin-only account management, email investigation and language
+ * registry requests
+ */
+
+import accountService from "../services/accountService.js";
+import securityEventService from "../services/securityEventService.js";
+import emailOutboxService from "../services/emailOutboxService.js";
+import languageService from "../services/languageService.js";
+import promptTransferService from "../services/promptTransferService.js";
+import { formatSecurityEvent } from "./accountController.js";
+import { formatLanguage } from "./languageController.js";
+import { asyncHandler, ValidationError } from "../middlewares/errorHandler.js";
+
+/**
+ * Format an account for admin responses
+ * @param {Object} account - Account row
+ * @returns {Object} Account summary
+ */
+function formatAccount(account) {
+  return {
+    accountId: account.accountid,
+    email: account.email,
+    role: account.role,
+    isActive: account.is_active,
+    createdAt: account.created_at,
+    lastLoginAt: account.last_login_at,
+  };
+}
+
+/**
+ * Format an undelivered outbox email for admin responses
+ * @param {Object} message - email_outbox row
+ * @returns {Object} Message summary
+ */
+function formatOutboxMessage(message) {
+  return {
+    messageId: message.messageid,
+    to: message.to_email,
+    template: message.template,
+    subject: message.subject,
+    attempts: message.attempts,
+    lastError: message.last_error,
+    createdAt: message.created_at,
+    lastAttemptAt: message.last_attempt_at,
+  };
+}
+
+/**
+ * Build a handler that changes an account's active status
+ * @param {boolean} isActive - Status to set
+ * @returns {Function} Express route handler
+ */
+function setAccountStatus(isActive) {
+  const action = isActive ? "reactivate" : "deactivate";
+
+  return asyncHandler(async (req, res) => {
+    const accountId = parseInt(req.params.id, 10);
+    const { reason } = req.body;
+
+    console.log(
+      `📡 POST /api/v1/admin/accounts/${accountId}/${action} by ${req.user.email}`
+    );
+
+    if (!isActive && accountId === req.user.accountId) {
+      return res.status(400).json({
+        error: "Invalid operation",
+        message: "You cannot deactivate your own account",
+      });
+    }
+
+    try {
+      const account = await accountService.setAccountActive(
+        accountId,
+        isActive,
+        reason,
+        req.user.accountId,
+        {
+          ipAddress: req.ip || req.connection.remoteAddress || null,
+          userAgent: req.headers["user-agent"] || null,
+        }
+      );
+
+      if (!account) {
+        return res.status(404).json({
+          error: "Account not found",
+          message: `No account with ID ${accountId}`,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `Account ${action}d`,
+        account: formatAccount(account),
+      });
+    } catch (error) {
+      console.error(`Error in ${action} account:`, error);
+      res.status(500).json({
+        error: `Failed to ${action} account`,
+        message: error.message,
+      });
+    }
+  });
+}
+
+/**
+ * Deactivate an account, revoking its tokens
+ * POST /api/v1/admin/accounts/:id/deactivate
+ */
+export const deactivateAccount = setAccountStatus(false);
+
+/**
+ * Reactivate a deactivated account
+ * POST /api/v1/admin/accounts/:id/reactivate
+ */
+export const reactivateAccount = setAccountStatus(true);
+
+/**
+ * Get an account with its activation history
+ * GET /api/v1/admin/accounts/:id
+ */
+export const getAccount = asyncHandler(async (req, res) => {
+  const accountId = parseInt(req.params.id, 10);
+
+  console.log(`📡 GET /api/v1/admin/accounts/${accountId}`);
+
+  try {
+    const account = await accountService.findAccountById(accountId);
+
+    if (!account) {
+      return res.status(404).json({
+        error: "Account not found",
+        message: `No account with ID ${accountId}`,
+      });
+    }
+
+    const statusChanges = await accountService.getStatusChanges(accountId);
+
+    res.json({
+      success: true,
+      account: formatAccount(account),
+      statusChanges: statusChanges.map((change) => ({
+        isActive: change.is_active,
+        reason: change.reason,
+        changedBy: change.changed_by,
+        createdAt: change.created_at,
+      })),
+    });
+  } catch (error) {
+    console.error("Error fetching account:", error);
+    res.status(500).json({
+      error: "Failed to fetch account",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * List the recent security events of any account
+ * GET /api/v1/admin/accounts/:id/security-events
+ */
+export const getSecurityEvents = asyncHandler(async (req, res) => {
+  const accountId = parseInt(req.params.id, 10);
+  const limit = parseInt(req.query.limit, 10) || undefined;
+
+  console.log(`📡 GET /api/v1/admin/accounts/${accountId}/security-events`);
+
+  try {
+    const account = await accountService.findAccountById(accountId);
+
+    if (!account) {
+      return res.status(404).json({
+        error: "Account not found",
+        message: `No account with ID ${accountId}`,
+      });
+    }
+
+    const events = await securityEventService.listEvents(accountId, limit);
+
+    res.json({
+      success: true,
+      account: formatAccount(account),
+      events: events.map(formatSecurityEvent),
+    });
+  } catch (error) {
+    console.error("Error listing security events:", error);
+    res.status(500).json({
+      error: "Failed to list security events",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * List emails that could not be delivered
+ * GET /api/v1/admin/emails/failed
+ */
+export const getFailedEmails = asyncHandler(async (req, res) => {
+  const limit = parseInt(req.query.limit, 10) || undefined;
+
+  console.log("📡 GET /api/v1/admin/emails/failed");
+
+  try {
+    const messages = await emailOutboxService.listFailed(limit);
+
+    res.json({
+      success: true,
+      messages: messages.map(formatOutboxMessage),
+    });
+  } catch (error) {
+    console.error("Error listing failed emails:", error);
+    res.status(500).json({
+      error: "Failed to list failed emails",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * List all registered languages, including disabled ones
+ * GET /api/v1/admin/languages
+ */
+export const listLanguages = asyncHandler(async (req, res) => {
+  console.log("📡 GET /api/v1/admin/languages");
+
+  try {
+    const languages = await languageService.getLanguages({
+      includeDisabled: true,
+    });
+
+    res.json({
+      success: true,
+      languages: languages.map(formatLanguage),
+    });
+  } catch (error) {
+    console.error("Error listing languages:", error);
+    res.status(500).json({
+      error: "Failed to list languages",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Register a language
+ * POST /api/v1/admin/languages
+ */
+export const createLanguage = asyncHandler(async (req, res) => {
+  console.log(
+    `📡 POST /api/v1/admin/languages (${req.body.code}) by ${req.user.email}`
+  );
+
+  try {
+    const language = await languageService.createLanguage(req.body);
+
+    if (!language) {
+      return res.status(409).json({
+        error: "Language already exists",
+        message: `Language '${req.body.code}' is already registered`,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Language registered",
+      language: formatLanguage(language),
+    });
+  } catch (error) {
+    console.error("Error creating language:", error);
+    res.status(500).json({
+      error: "Failed to create language",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Rename, enable or disable a language
+ * PATCH /api/v1/admin/languages/:code
+ */
+export const updateLanguage = asyncHandler(async (req, res) => {
+  const { code } = req.params;
+
+  console.log(`📡 PATCH /api/v1/admin/languages/${code} by ${req.user.email}`);
+
+  try {
+    const language = await languageService.updateLanguage(code, req.body);
+
+    if (!language) {
+      return res.status(404).json({
+        error: "Language not found",
+        message: `Language '${code}' is not registered`,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Language updated",
+      language: formatLanguage(language),
+    });
+  } catch (error) {
+    console.error("Error updating language:", error);
+    res.status(500).json({
+      error: "Failed to update language",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Download every prompt set with its translations as JSON or CSV
+ * GET /api/v1/admin/prompts/export?format=json|csv
+ */
+export const exportPrompts = asyncHandler(async (req, res) => {
+  const format = req.query.format || "json";
+
+  console.log(`📡 GET /api/v1/admin/prompts/export?format=${format}`);
+
+  try {
+    const promptSets = await promptTransferService.exportPromptSets();
+    const filename = `prompt-sets-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    res.attachment(filename);
+    if (format === "csv") {
+      return res
+        .type("text/csv")
+        .send(await promptTransferService.toCsv(promptSets));
+    }
+
+    res.json({
+      exportedAt: new Date().toISOString(),
+      promptSets,
+    });
+  } catch (error) {
+    console.error("Error exporting prompts:", error);
+    res.status(500).json({
+      error: "Failed to export prompts",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Create or update prompt sets by key from a JSON or CSV file (picked by
+ * Content-Type). Nothing is written on a dry run or if any set is invalid.
+ * POST /api/v1/admin/prompts/import?dryRun=true
+ */
+export const importPrompts = asyncHandler(async (req, res) => {
+  const dryRun = req.query.dryRun === "true";
+  const format = req.is("text/csv") ? "csv" : "json";
+
+  console.log(
+    `📡 POST /api/v1/admin/prompts/import (${format}${dryRun ? ", dry run" : ""}) by ${req.user.email}`
+  );
+
+  try {
+    const promptSets =
+      format === "csv"
+        ? promptTransferService.fromCsv(req.body)
+        : promptTransferService.fromJson(req.body);
+    const report = await promptTransferService.importPromptSets(promptSets, {
+      dryRun,
+    });
+
+    if (report.summary.error > 0 && !dryRun) {
+      return res.status(400).json({
+        error: "Validation failed",
+        message: "Some prompt sets are invalid; nothing was imported",
+        ...report,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: dryRun ? "Dry run; nothing was imported" : "Prompts imported",
+      ...report,
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        error: "Validation failed",
+        message: error.message,
+      });
+    }
+
+    console.error("Error importing prompts:", error);
+    res.status(500).json({
+      error: "Failed to import prompts",
+      message: error.message,
+    });
+  }
+});
+
+export default {
+  getAccount,
+  getSecurityEvents,
+  getFailedEmails,
+  listLanguages,
+  createLanguage,
+  updateLanguage,
+  exportPrompts,
+  importPrompts,
+  deactivateAccount,
+  reactivateAccount,
+};
@@ -4,29 +4,281 @@
  */
 
 import authService from "../services/authService.js";
+import accountService from "../services/accountService.js";
 import emailService from "../services/emailService.js";
-import { asyncHandler } from "../middlewares/errorHandler.js";
+import emailOutboxService from "../services/emailOutboxService.js";
+import sessionService from "../services/sessionService.js";
+import appleAuthService from "../services/appleAuthService.js";
+import jwtKeyService from "../services/jwtKeyService.js";
+import securityEventService from "../services/securityEventService.js";
+import twoFactorService from "../services/twoFactorService.js";
+import emailDomainService from "../services/emailDomainService.js";
+import emailSuppressionService from "../services/emailSuppressionService.js";
+import demoAccountService from "../services/demoAccountService.js";
+import config from "../config/environment.js";
+import {
+  asyncHandler,
+  UnauthorizedError,
+  ForbiddenError,
+} from "../middlewares/errorHandler.js";
+
+/**
+ * Collect device details used to label a new session
+ * @param {Object} req - Express request object
+ * @returns {Object} Session context
+ */
+function getSessionContext(req) {
+  const { deviceName } = req.body || {};
+
+  return {
+    deviceName:
+      typeof deviceName === "string" && deviceName
+        ? deviceName.slice(0, 100)
+        : null,
+    userAgent: req.headers["user-agent"] || null,
+    ipAddress: req.ip || req.connection.remoteAddress || null,
+  };
+}
+
+/**
+ * Record a security event with the request's IP address and user agent
+ * @param {Object} req - Express request object
+ * @param {Object} event - Event (see securityEventService.recordEvent)
+ * @returns {Promise<void>}
+ */
+function logSecurityEvent(req, event) {
+  const { ipAddress, userAgent } = getSessionContext(req);
+  return securityEventService.logEvent({ ...event, ipAddress, userAgent });
+}
+
+/**
+ * Respond with the tokens from a completed login
+ * @param {Object} res - Express response object
+ * @param {Object} loginResult - Result of authService.completeLogin
+ */
+function sendLoginResult(res, loginResult) {
+  res.json({
+    success: true,
+    message: "Login successful",
+    token: loginResult.token,
+    expiresAt: loginResult.expiresAt,
+    refreshToken: loginResult.refreshToken,
+    refreshTokenExpiresAt: loginResult.refreshTokenExpiresAt,
+    sessionId: loginResult.sessionId,
+    account: loginResult.account,
+  });
+}
+
+/**
+ * Respond with a two-factor challenge instead of tokens when the account has
+ * two-factor enabled. The first factor is logged as verified either way.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object|null} account - Account row (null for an email with no account yet)
+ * @param {Object} event - Security event for the verified first factor; its
+ *   details.method is stored on the challenge
+ * @returns {Promise<boolean>} Whether a challenge was sent
+ */
+async function sendTwoFactorChallenge(req, res, account, event) {
+  if (!account || !(await twoFactorService.isEnabled(account.accountid))) {
+    return false;
+  }
+
+  const challenge = await twoFactorService.createChallenge(
+    account.accountid,
+    event.details.method
+  );
+
+  await logSecurityEvent(req, {
+    ...event,
+    accountId: account.accountid,
+    details: { ...event.details, twoFactorRequired: true },
+  });
+
+  res.json({
+    success: true,
+    message: "Two-factor code required",
+    twoFactorRequired: true,
+    challengeToken: challenge.challengeToken,
+    expiresAt: challenge.expiresAt.toISOString(),
+  });
+  return true;
+}
+
+/**
+ * Respond with 429 while an email is backing off after wrong login codes
+ * @param {Object} res - Express response object
+ * @param {Object} backoff - Backoff from authService.getLoginBackoff
+ */
+function sendLoginBackoff(res, backoff) {
+  res.set("Retry-After", backoff.retryAfter);
+  return res.status(429).json({
+    error: "Too many failed attempts",
+    message: `Too many incorrect login codes. Please try again in ${backoff.retryAfter} seconds.`,
+    retryAfter: backoff.retryAfter,
+    retryAt: backoff.retryAt.toISOString(),
+  });
+}
+
+/**
+ * Respond with 429 while an account is backing off after wrong two-factor codes
+ * @param {Object} res - Express response object
+ * @param {Object} backoff - Backoff from twoFactorService.getBackoff
+ */
+function sendTwoFactorBackoff(res, backoff) {
+  res.set("Retry-After", backoff.retryAfter);
+  return res.status(429).json({
+    error: "Too many failed attempts",
+    message: `Too many incorrect two-factor codes. Please try again in ${backoff.retryAfter} seconds.`,
+    retryAfter: backoff.retryAfter,
+    retryAt: backoff.retryAt.toISOString(),
+  });
+}
+
+/**
+ * Respond with 403 for an email whose account has been deactivated
+ * @param {Object} res - Express response object
+ */
+function sendAccountDeactivated(res) {
+  return res.status(403).json({
+    error: "Account deactivated",
+    message: "This account has been deactivated. Please contact support.",
+  });
+}
+
+/**
+ * Respond with 403 for an email whose domain may not be used
+ * @param {Object} res - Express response object
+ * @param {Object} blocked - Result of emailDomainService.checkEmail
+ */
+function sendEmailNotAllowed(res, blocked) {
+  return res.status(403).json({
+    error: "Email not allowed",
+    message: blocked.message,
+    reason: blocked.reason,
+  });
+}
+
+/**
+ * Respond with 422 for an address on the suppression list
+ * @param {Object} res - Express response object
+ * @param {Object} suppressed - Result of emailSuppressionService.checkEmail
+ */
+function sendEmailSuppressed(res, suppressed) {
+  return res.status(422).json({
+    error: "Email undeliverable",
+    message: suppressed.message,
+    reason: suppressed.reason,
+  });
+}
+
+/**
+ * Respond with 403 for a demo account while demo logins are disabled
+ * @param {Object} res - Express response object
+ */
+function sendDemoDisabled(res) {
+  return res.status(403).json({
+    error: "Demo account disabled",
+    message: "Demo accounts can't sign in in this environment",
+  });
+}
 
 /**
  * Request login code via email
  * POST /api/v1/auth/request-login
  */
 export const requestLogin = asyncHandler(async (req, res) => {
-  const { email } = req.body;
+  const { email, locale } = req.body;
 
   console.log(`📡 POST /api/v1/auth/request-login for ${email}`);
 
-  // Check if email service is configured
-  if (!emailService.isConfigured()) {
+  const isDemo = demoAccountService.isDemoAccount(email);
+
+  // Check if email service is configured (demo accounts are never emailed)
+  if (!isDemo && !emailService.isConfigured()) {
     return res.status(500).json({
       error: "Service unavailable",
       message: "Email service not configured",
     });
   }
 
+  // Deactivated accounts can't get login codes
+  if (!(await authService.isAccountActive(email))) {
+    await logSecurityEvent(req, {
+      type: "login_code_requested",
+      outcome: "blocked",
+      email: email,
+      details: { reason: "account_deactivated" },
+    });
+    return sendAccountDeactivated(res);
+  }
+
+  const account = await authService.findAccountByEmail(email);
+
+  // Refuse denied, disposable or (in restricted mode) unapproved domains
+  const blocked = await emailDomainService.checkEmail(email, {
+    newAccount: !account,
+  });
+  if (blocked) {
+    await logSecurityEvent(req, {
+      type: "login_code_requested",
+      outcome: "blocked",
+      email: email,
+      details: { reason: `email_${blocked.reason}` },
+    });
+    return sendEmailNotAllowed(res, blocked);
+  }
+
+  // Demo accounts sign in with their configured code, so nothing is sent
+  if (isDemo) {
+    if (!demoAccountService.isEnabled()) {
+      await logSecurityEvent(req, {
+        type: "login_code_requested",
+        outcome: "blocked",
+        email: email,
+        details: { reason: "demo_disabled" },
+      });
+      return sendDemoDisabled(res);
+    }
+
+    console.warn(
+      `🎭 Demo account login code requested for ${email} from ${getSessionContext(req).ipAddress}`
+    );
+    await logSecurityEvent(req, {
+      type: "login_code_requested",
+      email: email,
+      details: { demo: true },
+    });
+
+    return res.json({
+      success: true,
+      message: "Login code sent to your email",
+      expiresAt: new Date(Date.now() + 10 * 60 * 1000).toISOString(),
+      messageId: null,
+    });
+  }
+
+  // Don't keep mailing addresses that bounced or complained
+  const suppressed = await emailSuppressionService.checkEmail(email);
+  if (suppressed) {
+    await logSecurityEvent(req, {
+      type: "login_code_requested",
+      outcome: "blocked",
+      email: email,
+      details: { reason: `email_suppressed_${suppressed.reason}` },
+    });
+    return sendEmailSuppressed(res, suppressed);
+  }
+
   // Check rate limiting
   const canRequest = await authService.canRequestLoginCode(email);
   if (!canRequest) {
+    await logSecurityEvent(req, {
+      type: "login_code_requested",
+      outcome: "blocked",
+      email: email,
+      details: { reason: "rate_limited" },
+    });
     return res.status(429).json({
       error: "Rate limit exceeded",
       message: "Please wait before requesting another code",
@@ -35,24 +287,51 @@ export const requestLogin = asyncHandler(async (req, res) => {
   }
 
   try {
-    // Generate login code
+    // Generate login code, plus a one-time link when links are enabled
     const loginCode = authService.generateLoginCode();
+    const linkToken = config.loginLinkBaseUrl
+      ? authService.generateLoginLinkToken()
+      : null;
     const expiresAt = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
 
-    // Store login attempt
-    await authService.storeLoginAttempt(email, loginCode);
+    // Write the email in the requested locale, the account's preferred
+    // language or the browser's language, falling back to English
+    const emailLocale = emailService.resolveLocale([
+      locale,
+      account?.preferred_language,
+      req.acceptsLanguages(...emailService.getSupportedLocales()),
+    ]);
+    const message = emailService.renderLoginCode(
+      loginCode,
+      linkToken ? authService.buildLoginLink(linkToken) : null,
+      emailLocale
+    );
+
+    // Store the attempt and queue the email together, then hand the email
+    // to the outbox worker so a slow provider doesn't hold up the response
+    const { messageId } = await authService.storeLoginAttempt(
+      email,
+      loginCode,
+      linkToken,
+      message
+    );
+    emailOutboxService.processSoon();
 
-    // Send email
-    const emailResult = await emailService.sendLoginCode(email, loginCode);
+    await logSecurityEvent(req, { type: "login_code_requested", email: email });
 
     res.json({
       success: true,
       message: "Login code sent to your email",
       expiresAt: expiresAt.toISOString(),
-      messageId: emailResult.messageId,
+      messageId,
     });
   } catch (error) {
     console.error("Error in request-login:", error);
+    await logSecurityEvent(req, {
+      type: "login_code_requested",
+      outcome: "failure",
+      email: email,
+    });
     res.status(500).json({
       error: "Failed to send login code",
       message: error.message,
@@ -70,26 +349,102 @@ export const verifyLogin = asyncHandler(async (req, res) => {
   console.log(`📡 POST /api/v1/auth/verify-login for ${email}`);
 
   try {
+    // Refuse guesses while the email is backing off after wrong codes
+    const backoff = await authService.getLoginBackoff(email);
+    if (backoff) {
+      await logSecurityEvent(req, {
+        type: "login_code_failed",
+        outcome: "blocked",
+        email: email,
+        details: { reason: "backoff" },
+      });
+      return sendLoginBackoff(res, backoff);
+    }
+
+    if (!(await authService.isAccountActive(email))) {
+      await logSecurityEvent(req, {
+        type: "login_code_failed",
+        outcome: "blocked",
+        email: email,
+        details: { reason: "account_deactivated" },
+      });
+      return sendAccountDeactivated(res);
+    }
+
+    const isDemo = demoAccountService.isDemoAccount(email);
+    if (isDemo && !demoAccountService.isEnabled()) {
+      await logSecurityEvent(req, {
+        type: "login_code_failed",
+        outcome: "blocked",
+        email: email,
+        details: { reason: "demo_disabled" },
+      });
+      return sendDemoDisabled(res);
+    }
+
     // Verify login code
-    const attempt = await authService.verifyLoginCode(email, code);
+    const attempt = await authService.verifyLoginCode(
+      email,
+      code,
+      getSessionContext(req)
+    );
 
     if (!attempt) {
+      await logSecurityEvent(req, {
+        type: "login_code_failed",
+        outcome: "failure",
+        email: email,
+        details: { reason: "invalid_code" },
+      });
+
+      // This failure may have started (or extended) the backoff
+      const nextBackoff = await authService.getLoginBackoff(email);
+      if (nextBackoff) {
+        return sendLoginBackoff(res, nextBackoff);
+      }
+
       return res.status(401).json({
         error: "Invalid or expired login code",
         message: "The provided login code is invalid or has expired",
       });
     }
 
+    // Ask for the second factor before issuing tokens
+    const account = await authService.findAccountByEmail(email);
+    if (
+      await sendTwoFactorChallenge(req, res, account, {
+        type: "login_code_verified",
+        email: email,
+        details: { method: "code" },
+      })
+    ) {
+      return;
+    }
+
     // Complete login process
-    const loginResult = await authService.completeLogin(email);
+    const loginResult = await authService.completeLogin(
+      email,
+      getSessionContext(req)
+    );
 
-    res.json({
-      success: true,
-      message: "Login successful",
-      token: loginResult.token,
-      expiresAt: loginResult.expiresAt,
-      account: loginResult.account,
+    if (isDemo) {
+      console.warn(
+        `🎭 Demo account login for ${email} from ${getSessionContext(req).ipAddress} (session ${loginResult.sessionId})`
+      );
+    }
+
+    await logSecurityEvent(req, {
+      type: "login_code_verified",
+      accountId: loginResult.account.accountId,
+      email: email,
+      details: {
+        method: "code",
+        sessionId: loginResult.sessionId,
+        ...(isDemo && { demo: true }),
+      },
     });
+
+    sendLoginResult(res, loginResult);
   } catch (error) {
     console.error("Error in verify-login:", error);
     res.status(500).json({
@@ -99,6 +454,300 @@ export const verifyLogin = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * Verify one-time login link token and generate JWT token
+ * POST /api/v1/auth/verify-link
+ */
+export const verifyLink = asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  console.log(`📡 POST /api/v1/auth/verify-link`);
+
+  try {
+    // Consume the link (also invalidates the code sent with it)
+    const attempt = await authService.verifyLoginLink(token);
+
+    if (!attempt) {
+      return res.status(401).json({
+        error: "Invalid or expired login link",
+        message: "The provided login link is invalid or has expired",
+      });
+    }
+
+    if (!(await authService.isAccountActive(attempt.email))) {
+      await logSecurityEvent(req, {
+        type: "login_code_failed",
+        outcome: "blocked",
+        email: attempt.email,
+        details: { method: "link", reason: "account_deactivated" },
+      });
+      return sendAccountDeactivated(res);
+    }
+
+    // Ask for the second factor before issuing tokens
+    const account = await authService.findAccountByEmail(attempt.email);
+    if (
+      await sendTwoFactorChallenge(req, res, account, {
+        type: "login_code_verified",
+        email: attempt.email,
+        details: { method: "link" },
+      })
+    ) {
+      return;
+    }
+
+    // Complete login process
+    const loginResult = await authService.completeLogin(
+      attempt.email,
+      getSessionContext(req)
+    );
+
+    await logSecurityEvent(req, {
+      type: "login_code_verified",
+      accountId: loginResult.account.accountId,
+      email: attempt.email,
+      details: { method: "link", sessionId: loginResult.sessionId },
+    });
+
+    sendLoginResult(res, loginResult);
+  } catch (error) {
+    console.error("Error in verify-link:", error);
+    res.status(500).json({
+      error: "Login verification failed",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Sign in with an Apple identity token and generate JWT token
+ * POST /api/v1/auth/apple
+ */
+export const appleSignIn = asyncHandler(async (req, res) => {
+  const { identityToken, nonce } = req.body;
+
+  console.log(`📡 POST /api/v1/auth/apple`);
+
+  if (!appleAuthService.isConfigured()) {
+    return res.status(500).json({
+      error: "Service unavailable",
+      message: "Sign in with Apple not configured",
+    });
+  }
+
+  try {
+    // Verify the token, then find, link or create the account
+    const account = await appleAuthService.signIn(identityToken, nonce);
+
+    if (account.is_active === false) {
+      await logSecurityEvent(req, {
+        type: "apple_sign_in",
+        outcome: "blocked",
+        accountId: account.accountid,
+        details: { reason: "account_deactivated" },
+      });
+      return sendAccountDeactivated(res);
+    }
+
+    // Ask for the second factor before issuing tokens
+    if (
+      await sendTwoFactorChallenge(req, res, account, {
+        type: "apple_sign_in",
+        details: { method: "apple" },
+      })
+    ) {
+      return;
+    }
+
+    // Complete login process
+    const loginResult = await authService.completeLoginForAccount(
+      account,
+      getSessionContext(req)
+    );
+
+    await logSecurityEvent(req, {
+      type: "apple_sign_in",
+      accountId: account.accountid,
+      details: { sessionId: loginResult.sessionId },
+    });
+
+    sendLoginResult(res, loginResult);
+  } catch (error) {
+    if (error instanceof UnauthorizedError) {
+      return res.status(401).json({
+        error: "Invalid Apple identity token",
+        message: error.message,
+      });
+    }
+
+    if (error instanceof ForbiddenError) {
+      await logSecurityEvent(req, {
+        type: "apple_sign_in",
+        outcome: "blocked",
+        details: { reason: "email_not_allowed" },
+      });
+      return res.status(403).json({
+        error: "Email not allowed",
+        message: error.message,
+      });
+    }
+
+    console.error("Error in apple sign-in:", error);
+    res.status(500).json({
+      error: "Login verification failed",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Answer a two-factor challenge with an authenticator or recovery code and
+ * generate JWT token
+ * POST /api/v1/auth/verify-2fa
+ */
+export const verifyTwoFactor = asyncHandler(async (req, res) => {
+  const { challengeToken, code } = req.body;
+
+  console.log(`📡 POST /api/v1/auth/verify-2fa`);
+
+  try {
+    const result = await twoFactorService.verifyChallenge(
+      challengeToken,
+      code,
+      getSessionContext(req)
+    );
+
+    if (!result) {
+      return res.status(401).json({
+        error: "Invalid or expired challenge",
+        message: "Please sign in again to get a new two-factor challenge",
+      });
+    }
+
+    // Refuse guesses while the account is backing off after wrong codes
+    if (result.backoff) {
+      await logSecurityEvent(req, {
+        type: "two_factor_failed",
+        outcome: "blocked",
+        accountId: result.accountId,
+        details: { reason: "backoff" },
+      });
+      return sendTwoFactorBackoff(res, result.backoff);
+    }
+
+    if (result.failed) {
+      await logSecurityEvent(req, {
+        type: "two_factor_failed",
+        outcome: "failure",
+        accountId: result.accountId,
+        details: { reason: "invalid_code" },
+      });
+
+      // This failure may have started (or extended) the backoff
+      const nextBackoff = await twoFactorService.getBackoff(result.accountId);
+      if (nextBackoff) {
+        return sendTwoFactorBackoff(res, nextBackoff);
+      }
+
+      return res.status(401).json({
+        error: "Invalid two-factor code",
+        message: "The provided two-factor code is invalid",
+      });
+    }
+
+    const account = await accountService.findAccountById(result.accountId);
+
+    if (!account || account.is_active === false) {
+      await logSecurityEvent(req, {
+        type: "two_factor_verified",
+        outcome: "blocked",
+        accountId: result.accountId,
+        details: { reason: "account_deactivated" },
+      });
+      return sendAccountDeactivated(res);
+    }
+
+    // Complete login process
+    const loginResult = await authService.completeLoginForAccount(
+      account,
+      getSessionContext(req)
+    );
+
+    await logSecurityEvent(req, {
+      type: "two_factor_verified",
+      accountId: account.accountid,
+      details: {
+        method: result.method,
+        factor: result.factor,
+        sessionId: loginResult.sessionId,
+      },
+    });
+
+    sendLoginResult(res, loginResult);
+  } catch (error) {
+    console.error("Error in verify-2fa:", error);
+    res.status(500).json({
+      error: "Login verification failed",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * POST /api/v1/auth/refresh
+ */
+export const refresh = asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  console.log(`📡 POST /api/v1/auth/refresh`);
+
+  try {
+    const rotation = await authService.rotateRefreshToken(
+      refreshToken,
+      getSessionContext(req)
+    );
+
+    if (!rotation) {
+      return res.status(401).json({
+        error: "Invalid or expired refresh token",
+        message: "Please log in again to get a new token",
+      });
+    }
+
+    if (rotation.reuseDetected) {
+      console.warn(
+        `⚠️ Refresh token reuse detected for account ${rotation.accountId}, token family revoked`
+      );
+      return res.status(401).json({
+        error: "Refresh token reuse detected",
+        message: "This session has been revoked. Please log in again.",
+      });
+    }
+
+    const { token, expiresAt } = authService.issueAccessToken(
+      rotation.accountId,
+      rotation.email,
+      { sessionId: rotation.sessionId, role: rotation.role }
+    );
+
+    res.json({
+      success: true,
+      message: "Token refreshed",
+      token: token,
+      expiresAt: expiresAt.toISOString(),
+      refreshToken: rotation.refreshToken,
+      refreshTokenExpiresAt: rotation.refreshTokenExpiresAt.toISOString(),
+    });
+  } catch (error) {
+    console.error("Error in refresh:", error);
+    res.status(500).json({
+      error: "Token refresh failed",
+      message: error.message,
+    });
+  }
+});
+
 /**
  * Verify JWT token and get user info
  * GET /api/v1/auth/verify
@@ -112,32 +761,389 @@ export const verifyToken = asyncHandler(async (req, res) => {
     account: {
       accountId: req.user.accountId,
       email: req.user.email,
+      role: req.user.role,
     },
   });
 });
 
 /**
- * Logout user (client-side token deletion)
+ * Logout user by revoking the current token
  * POST /api/v1/auth/logout
  */
 export const logout = asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body || {};
+
   console.log(`📡 POST /api/v1/auth/logout for ${req.user.email}`);
 
-  // Note: With JWTs, we can't invalidate tokens server-side until they expire
-  // The client should delete the token from their storage
-  // For enhanced security, you could maintain a blacklist of tokens in the database
+  try {
+    if (req.user.jti) {
+      await authService.revokeToken(
+        req.user.jti,
+        req.user.accountId,
+        req.user.exp
+      );
+    }
 
-  res.json({
-    success: true,
-    message:
-      "Logged out successfully. Please delete the token from your device.",
-    note: "With JWTs, logout is handled client-side by deleting the token.",
-  });
+    // End the session, which also revokes its refresh tokens
+    if (req.user.sessionId) {
+      await sessionService.revokeSession(
+        req.user.accountId,
+        req.user.sessionId
+      );
+    }
+
+    // Also end the refresh token family if the client sent its refresh token
+    if (typeof refreshToken === "string" && refreshToken) {
+      await authService.revokeRefreshTokenFamily(
+        req.user.accountId,
+        refreshToken
+      );
+    }
+
+    await logSecurityEvent(req, {
+      type: "token_revoked",
+      accountId: req.user.accountId,
+      details: { reason: "logout", sessionId: req.user.sessionId },
+    });
+
+    res.json({
+      success: true,
+      message: "Logged out successfully",
+    });
+  } catch (error) {
+    console.error("Error in logout:", error);
+    res.status(500).json({
+      error: "Logout failed",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Logout from all devices by revoking every token issued to the account
+ * POST /api/v1/auth/logout-all
+ */
+export const logoutAll = asyncHandler(async (req, res) => {
+  console.log(`📡 POST /api/v1/auth/logout-all for ${req.user.email}`);
+
+  try {
+    await authService.revokeAllTokens(req.user.accountId);
+
+    await logSecurityEvent(req, {
+      type: "token_revoked",
+      accountId: req.user.accountId,
+      details: { reason: "logout_all" },
+    });
+
+    res.json({
+      success: true,
+      message: "Logged out from all devices",
+    });
+  } catch (error) {
+    console.error("Error in logout-all:", error);
+    res.status(500).json({
+      error: "Logout failed",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * List the signed-in devices for the current account
+ * GET /api/v1/auth/sessions
+ */
+export const listSessions = asyncHandler(async (req, res) => {
+  console.log(`📡 GET /api/v1/auth/sessions for ${req.user.email}`);
+
+  try {
+    const sessions = await sessionService.listSessions(req.user.accountId);
+
+    res.json({
+      success: true,
+      sessions: sessions.map((session) => ({
+        id: session.sessionid,
+        deviceName: session.device_name,
+        userAgent: session.user_agent,
+        ipAddress: session.ip_address,
+        createdAt: session.created_at,
+        lastSeenAt: session.last_seen_at,
+        current: session.sessionid === req.user.sessionId,
+      })),
+    });
+  } catch (error) {
+    console.error("Error listing sessions:", error);
+    res.status(500).json({
+      error: "Failed to list sessions",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Revoke one of the current account's sessions
+ * DELETE /api/v1/auth/sessions/:id
+ */
+export const revokeSession = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  console.log(`📡 DELETE /api/v1/auth/sessions/${id} for ${req.user.email}`);
+
+  try {
+    const revoked = await sessionService.revokeSession(req.user.accountId, id);
+
+    if (!revoked) {
+      return res.status(404).json({
+        error: "Session not found",
+        message: "No active session with this ID exists for your account",
+      });
+    }
+
+    await logSecurityEvent(req, {
+      type: "token_revoked",
+      accountId: req.user.accountId,
+      details: { reason: "session_revoked", sessionId: id },
+    });
+
+    res.json({
+      success: true,
+      message: "Session revoked",
+    });
+  } catch (error) {
+    console.error("Error revoking session:", error);
+    res.status(500).json({
+      error: "Failed to revoke session",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Get the current account's two-factor status
+ * GET /api/v1/auth/2fa
+ */
+export const getTwoFactorStatus = asyncHandler(async (req, res) => {
+  console.log(`📡 GET /api/v1/auth/2fa for ${req.user.email}`);
+
+  try {
+    const status = await twoFactorService.getStatus(req.user.accountId);
+
+    res.json({
+      success: true,
+      twoFactor: status,
+    });
+  } catch (error) {
+    console.error("Error fetching two-factor status:", error);
+    res.status(500).json({
+      error: "Failed to fetch two-factor status",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Start two-factor enrolment: returns a new secret and otpauth URI for an
+ * authenticator app
+ * POST /api/v1/auth/2fa/enroll
+ */
+export const enrollTwoFactor = asyncHandler(async (req, res) => {
+  console.log(`📡 POST /api/v1/auth/2fa/enroll for ${req.user.email}`);
+
+  try {
+    const enrollment = await twoFactorService.startEnrollment({
+      accountid: req.user.accountId,
+      email: req.user.email,
+    });
+
+    if (!enrollment) {
+      return res.status(409).json({
+        error: "Two-factor already enabled",
+        message: "Disable two-factor authentication before enrolling again",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Scan the code with an authenticator app, then confirm it",
+      secret: enrollment.secret,
+      otpauthUri: enrollment.otpauthUri,
+    });
+  } catch (error) {
+    console.error("Error starting two-factor enrolment:", error);
+    res.status(500).json({
+      error: "Failed to start two-factor enrolment",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Confirm two-factor enrolment with a code from the authenticator app.
+ * Responds with the recovery codes, which are only shown this once.
+ * POST /api/v1/auth/2fa/confirm
+ */
+export const confirmTwoFactor = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  console.log(`📡 POST /api/v1/auth/2fa/confirm for ${req.user.email}`);
+
+  try {
+    // Refuse guesses while the account is backing off after wrong codes
+    const backoff = await twoFactorService.getBackoff(req.user.accountId);
+    if (backoff) {
+      await logSecurityEvent(req, {
+        type: "two_factor_failed",
+        outcome: "blocked",
+        accountId: req.user.accountId,
+        details: { reason: "backoff", action: "confirm" },
+      });
+      return sendTwoFactorBackoff(res, backoff);
+    }
+
+    const recoveryCodes = await twoFactorService.confirmEnrollment(
+      req.user.accountId,
+      code,
+      getSessionContext(req)
+    );
+
+    if (!recoveryCodes) {
+      await logSecurityEvent(req, {
+        type: "two_factor_failed",
+        outcome: "failure",
+        accountId: req.user.accountId,
+        details: { reason: "invalid_code", action: "confirm" },
+      });
+
+      // This failure may have started (or extended) the backoff
+      const nextBackoff = await twoFactorService.getBackoff(req.user.accountId);
+      if (nextBackoff) {
+        return sendTwoFactorBackoff(res, nextBackoff);
+      }
+
+      return res.status(401).json({
+        error: "Invalid two-factor code",
+        message:
+          "The provided code is invalid or there is no pending two-factor enrolment",
+      });
+    }
+
+    await logSecurityEvent(req, {
+      type: "two_factor_enabled",
+      accountId: req.user.accountId,
+    });
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication enabled",
+      recoveryCodes: recoveryCodes,
+    });
+  } catch (error) {
+    console.error("Error confirming two-factor enrolment:", error);
+    res.status(500).json({
+      error: "Failed to enable two-factor authentication",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Turn two-factor off, confirmed with an authenticator or recovery code
+ * POST /api/v1/auth/2fa/disable
+ */
+export const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  console.log(`📡 POST /api/v1/auth/2fa/disable for ${req.user.email}`);
+
+  try {
+    // Refuse guesses while the account is backing off after wrong codes
+    const backoff = await twoFactorService.getBackoff(req.user.accountId);
+    if (backoff) {
+      await logSecurityEvent(req, {
+        type: "two_factor_failed",
+        outcome: "blocked",
+        accountId: req.user.accountId,
+        details: { reason: "backoff", action: "disable" },
+      });
+      return sendTwoFactorBackoff(res, backoff);
+    }
+
+    const disabled = await twoFactorService.disable(
+      req.user.accountId,
+      code,
+      getSessionContext(req)
+    );
+
+    if (!disabled) {
+      await logSecurityEvent(req, {
+        type: "two_factor_failed",
+        outcome: "failure",
+        accountId: req.user.accountId,
+        details: { reason: "invalid_code", action: "disable" },
+      });
+
+      // This failure may have started (or extended) the backoff
+      const nextBackoff = await twoFactorService.getBackoff(req.user.accountId);
+      if (nextBackoff) {
+        return sendTwoFactorBackoff(res, nextBackoff);
+      }
+
+      return res.status(401).json({
+        error: "Invalid two-factor code",
+        message:
+          "The provided code is invalid or two-factor authentication is not enabled",
+      });
+    }
+
+    await logSecurityEvent(req, {
+      type: "two_factor_disabled",
+      accountId: req.user.accountId,
+    });
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication disabled",
+    });
+  } catch (error) {
+    console.error("Error disabling two-factor:", error);
+    res.status(500).json({
+      error: "Failed to disable two-factor authentication",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Publish the public keys that verify access tokens (RS256/ES256 keys only)
+ * GET /.well-known/jwks.json
+ */
+export const getJwks = asyncHandler(async (req, res) => {
+  try {
+    res.set("Cache-Control", "public, max-age=300");
+    res.json(jwtKeyService.getPublicJwks());
+  } catch (error) {
+    console.error("Error in jwks:", error);
+    res.status(500).json({
+      error: "Failed to load signing keys",
+      message: error.message,
+    });
+  }
 });
 
 export default {
   requestLogin,
   verifyLogin,
+  verifyLink,
+  appleSignIn,
+  verifyTwoFactor,
+  refresh,
   verifyToken,
   logout,
+  logoutAll,
+  listSessions,
+  revokeSession,
+  getTwoFactorStatus,
+  enrollTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  getJwks,
 };
@@ -0,0 +1,50 @@
+/**
+ * Language Controller
+ * Handles language registry requests
+ */
+
+import languageService from "../services/languageService.js";
+import { asyncHandler } from "../middlewares/errorHandler.js";
+
+/**
+ * Format a language for API responses
+ * @param {Object} language - Language row
+ * @returns {Object} Language
+ */
+export function formatLanguage(language) {
+  return {
+    code: language.code,
+    name: language.name,
+    nativeName: language.native_name,
+    direction: language.direction,
+    enabled: language.is_enabled,
+  };
+}
+
+/**
+ * List the languages prompts are available in
+ * GET /api/v1/languages
+ */
+export const getLanguages = asyncHandler(async (req, res) => {
+  console.log("📡 GET /api/v1/languages");
+
+  try {
+    const languages = await languageService.getLanguages();
+
+    res.set("Cache-Control", "public, max-age=300");
+    res.json({
+      success: true,
+      languages: languages.map(formatLanguage),
+    });
+  } catch (error) {
+    console.error("Error listing languages:", error);
+    res.status(500).json({
+      error: "Failed to list languages",
+      message: error.message,
+    });
+  }
+});
+
+export default {
+  getLanguages,
+};
@@ -3,22 +3,111 @@
  * Handles prompt-related HTTP requests
  */
 
+import crypto from "crypto";
 import promptService from "../services/promptService.js";
-import { asyncHandler } from "../middlewares/errorHandler.js";
+import accountService from "../services/accountService.js";
+import languageService from "../services/languageService.js";
+import { asyncHandler, ValidationError } from "../middlewares/errorHandler.js";
 
 /**
- * Get conversation prompts for a specific language
- * GET /api/v1/prompts?language=en|fr
+ * Respond with 400 listing why a prompt set can't be saved
+ * @param {Object} res - Express response object
+ * @param {ValidationError} error - Error thrown by promptService
+ */
+function sendInvalidPromptSet(res, error) {
+  return res.status(400).json({
+    error: "Validation failed",
+    message: error.message,
+    issues: error.issues,
+  });
+}
+
+/**
+ * Respond with 404 for a prompt set that doesn't exist
+ * @param {Object} res - Express response object
+ * @param {number} setId - Requested prompt set ID
+ */
+function sendPromptSetNotFound(res, setId) {
+  return res.status(404).json({
+    error: "Prompt set not found",
+    message: `No prompt set with ID ${setId}`,
+  });
+}
+
+/**
+ * Respond with JSON under a strong ETag (a hash of the exact body), or with
+ * 304 when the client's If-None-Match already has it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {*} data - Response body
+ * @param {string} syncToken - Token for the client's next delta sync
+ */
+function sendCacheable(req, res, data, syncToken) {
+  const body = JSON.stringify(data);
+  const etag = `"${crypto.createHash("sha256").update(body).digest("base64url")}"`;
+
+  // prompts depend on the account's language, so only the app may cache them
+  res.set({
+    ETag: etag,
+    "Cache-Control": "private, no-cache",
+    "X-Sync-Token": syncToken,
+  });
+
+  // checked here rather than with req.fresh, which ignores If-None-Match on
+  // requests sent with Cache-Control: no-cache (as fetch clients do)
+  const ifNoneMatch = req.get("If-None-Match") || "";
+  const matches = ifNoneMatch
+    .split(",")
+    .map((tag) => tag.trim().replace(/^W\//, ""))
+    .some((tag) => tag === etag || tag === "*");
+
+  if (matches) {
+    return res.status(304).end();
+  }
+
+  res.type("json").send(body);
+}
+
+/**
+ * Get conversation prompts for a specific language, defaulting to the
+ * account's preferred practice language. With since, only the sets changed
+ * after that sync token or timestamp are returned, plus tombstones for
+ * deleted ones.
+ * GET /api/v1/prompts?language=<code>&since=<sync token or timestamp>
  */
 export const getPrompts = asyncHandler(async (req, res) => {
-  const { language } = req.query;
+  let { language } = req.query;
+  const { since } = req.query;
 
-  console.log(`📡 GET /api/v1/prompts?language=${language}`);
+  console.log(
+    `📡 GET /api/v1/prompts?language=${language}${since ? `&since=${since}` : ""}`
+  );
 
   try {
+    if (!language) {
+      const account = await accountService.findAccountById(req.user.accountId);
+      language = account?.preferred_language;
+
+      if (!language || !(await languageService.isLanguageSupported(language))) {
+        return res.status(400).json({
+          error: "Validation failed",
+          message:
+            "Language parameter is required when no preferred language is set",
+          field: "language",
+        });
+      }
+    }
+
+    if (since) {
+      const changes = await promptService.getPromptChanges(language, since);
+      return sendCacheable(req, res, changes, changes.syncToken);
+    }
+
+    // read the token first, so a change made meanwhile is sent again rather than missed
+    const syncToken = await promptService.getSyncToken();
     const promptSets = await promptService.getPromptsByLanguage(language);
 
-    res.json(promptSets);
+    sendCacheable(req, res, promptSets, syncToken);
   } catch (error) {
     console.error("Error fetching prompts:", error);
     res.status(500).json({
@@ -68,7 +157,7 @@ export const validatePrompts = asyncHandler(async (req, res) => {
 
     if (language) {
       // Validate specific language
-      if (!promptService.isLanguageSupported(language)) {
+      if (!(await languageService.isLanguageSupported(language))) {
         return res.status(400).json({
           error: "Unsupported language",
           message: `Language '${language}' is not supported`,
@@ -80,7 +169,7 @@ export const validatePrompts = asyncHandler(async (req, res) => {
         promptService.validatePromptSets(promptSets);
     } else {
       // Validate all supported languages
-      for (const lang of promptService.supportedLanguages) {
+      for (const lang of await languageService.getSupportedCodes()) {
         const promptSets = await promptService.getPromptsByLanguage(lang);
         validationResults[lang] = promptService.validatePromptSets(promptSets);
       }
@@ -100,8 +189,143 @@ export const validatePrompts = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * Get a prompt set with all its translations (editor)
+ * GET /api/v1/prompts/sets/:id
+ */
+export const getPromptSet = asyncHandler(async (req, res) => {
+  const setId = parseInt(req.params.id, 10);
+
+  console.log(`📡 GET /api/v1/prompts/sets/${setId}`);
+
+  try {
+    const promptSet = await promptService.getPromptSet(setId);
+
+    if (!promptSet) {
+      return sendPromptSetNotFound(res, setId);
+    }
+
+    res.json({
+      success: true,
+      promptSet,
+    });
+  } catch (error) {
+    console.error("Error fetching prompt set:", error);
+    res.status(500).json({
+      error: "Failed to fetch prompt set",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Create a prompt set with its translations (editor)
+ * POST /api/v1/prompts/sets
+ */
+export const createPromptSet = asyncHandler(async (req, res) => {
+  console.log(`📡 POST /api/v1/prompts/sets by ${req.user.email}`);
+
+  try {
+    const { translations, key } = req.body;
+    const promptSet = await promptService.createPromptSet(translations, key);
+
+    if (!promptSet) {
+      return res.status(409).json({
+        error: "Key already in use",
+        message: `Another prompt set already has the key '${key}'`,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Prompt set created",
+      promptSet,
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return sendInvalidPromptSet(res, error);
+    }
+
+    console.error("Error creating prompt set:", error);
+    res.status(500).json({
+      error: "Failed to create prompt set",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Replace a prompt set's prompts and translations (editor)
+ * PUT /api/v1/prompts/sets/:id
+ */
+export const updatePromptSet = asyncHandler(async (req, res) => {
+  const setId = parseInt(req.params.id, 10);
+
+  console.log(`📡 PUT /api/v1/prompts/sets/${setId} by ${req.user.email}`);
+
+  try {
+    const promptSet = await promptService.updatePromptSet(
+      setId,
+      req.body.translations
+    );
+
+    if (!promptSet) {
+      return sendPromptSetNotFound(res, setId);
+    }
+
+    res.json({
+      success: true,
+      message: "Prompt set updated",
+      promptSet,
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return sendInvalidPromptSet(res, error);
+    }
+
+    console.error("Error updating prompt set:", error);
+    res.status(500).json({
+      error: "Failed to update prompt set",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Delete a prompt set with all its translations (editor)
+ * DELETE /api/v1/prompts/sets/:id
+ */
+export const deletePromptSet = asyncHandler(async (req, res) => {
+  const setId = parseInt(req.params.id, 10);
+
+  console.log(`📡 DELETE /api/v1/prompts/sets/${setId} by ${req.user.email}`);
+
+  try {
+    const deleted = await promptService.deletePromptSet(setId);
+
+    if (!deleted) {
+      return sendPromptSetNotFound(res, setId);
+    }
+
+    res.json({
+      success: true,
+      message: "Prompt set deleted",
+    });
+  } catch (error) {
+    console.error("Error deleting prompt set:", error);
+    res.status(500).json({
+      error: "Failed to delete prompt set",
+      message: error.message,
+    });
+  }
+});
+
 export default {
   getPrompts,
   getPromptStatistics,
   validatePrompts,
+  getPromptSet,
+  createPromptSet,
+  updatePromptSet,
+  deletePromptSet,
 };
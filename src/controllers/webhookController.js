@@ -0,0 +1,49 @@
+/**
+ * Webhook Controller
+ * Handles events pushed by third-party services
+ */
+
+import emailWebhookService from "../services/emailWebhookService.js";
+import { asyncHandler } from "../middlewares/errorHandler.js";
+
+/**
+ * Handle a delivery, bounce or complaint event from the email provider
+ * POST /api/v1/webhooks/email
+ */
+export const handleEmailEvent = asyncHandler(async (req, res) => {
+  console.log(`📡 POST /api/v1/webhooks/email (${req.body?.type})`);
+
+  if (!emailWebhookService.isConfigured()) {
+    return res.status(503).json({
+      error: "Service unavailable",
+      message: "Email webhook not configured",
+    });
+  }
+
+  if (!emailWebhookService.verifySignature(req.headers, req.rawBody)) {
+    return res.status(401).json({
+      error: "Invalid signature",
+      message: "The webhook signature is missing, invalid or too old",
+    });
+  }
+
+  try {
+    const result = await emailWebhookService.handleEvent(req.body);
+
+    res.json({
+      success: true,
+      result,
+    });
+  } catch (error) {
+    // a 5xx makes the provider retry the event later
+    console.error("Error handling email webhook:", error);
+    res.status(500).json({
+      error: "Failed to handle email event",
+      message: error.message,
+    });
+  }
+});
+
+export default {
+  handleEmailEvent,
+};
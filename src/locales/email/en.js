@@ -0,0 +1,20 @@
+/**
+ * English Email Strings
+ * The reference locale: every string the email templates use must exist here
+ */
+
+export default {
+  loginCode: {
+    subject: "Your Chatterbox login code",
+    heading: "🎯 Chatterbox Login",
+    codeIntro: "Your Chatterbox login code is:",
+    instructions:
+      "Enter this code in your Chatterbox app to complete your login.",
+    linkButton: "Log in to Chatterbox",
+    linkHint: "Or tap the button above on your device to log in directly.",
+    linkIntro: "Or open this link on your device to log in directly:",
+    expiry: "This code will expire in 10 minutes for your security.",
+    ignore:
+      "If you didn't request this code, you can safely ignore this email.",
+  },
+};
@@ -0,0 +1,22 @@
+/**
+ * French Email Strings
+ * Missing strings fall back to English
+ */
+
+export default {
+  loginCode: {
+    subject: "Votre code de connexion Chatterbox",
+    heading: "🎯 Connexion à Chatterbox",
+    codeIntro: "Votre code de connexion Chatterbox est :",
+    instructions:
+      "Saisissez ce code dans l'application Chatterbox pour terminer votre connexion.",
+    linkButton: "Se connecter à Chatterbox",
+    linkHint:
+      "Ou touchez le bouton ci-dessus sur votre appareil pour vous connecter directement.",
+    linkIntro:
+      "Ou ouvrez ce lien sur votre appareil pour vous connecter directement :",
+    expiry: "Pour votre sécurité, ce code expire dans 10 minutes.",
+    ignore:
+      "Si vous n'avez pas demandé ce code, vous pouvez ignorer cet e-mail.",
+  },
+};
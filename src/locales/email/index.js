@@ -0,0 +1,14 @@
+/**
+ * Email Locales
+ * Register a locale by adding a file next to en.js and listing it here
+ */
+
+import en from "./en.js";
+import fr from "./fr.js";
+
+export const DEFAULT_EMAIL_LOCALE = "en";
+
+export const EMAIL_LOCALES = {
+  en,
+  fr,
+};
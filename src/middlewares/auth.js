@@ -4,6 +4,12 @@
  */
 
 import authService from "../services/authService.js";
+import sessionService from "../services/sessionService.js";
+import { DEMO_SCOPE } from "../services/demoAccountService.js";
+import { ForbiddenError, UnauthorizedError } from "./errorHandler.js";
+
+// requests a read-only demo token may still make besides GET/HEAD/OPTIONS
+const DEMO_WRITABLE_PATHS = ["/api/v1/auth/logout"];
 
 /**
  * Middleware to authenticate JWT tokens
@@ -11,7 +17,7 @@ import authService from "../services/authService.js";
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
  */
-export const authenticateJWT = (req, res, next) => {
+export const authenticateJWT = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
 
@@ -27,25 +33,54 @@ export const authenticateJWT = (req, res, next) => {
     try {
       const decoded = authService.verifyJWT(token);
 
+      if (await authService.isTokenRevoked(decoded)) {
+        throw new Error("Token revoked");
+      }
+
       req.user = {
         accountId: decoded.accountId,
         email: decoded.email,
+        role: decoded.role || "user",
         token: token,
+        jti: decoded.jti,
+        sessionId: decoded.sid || null,
         iat: decoded.iat,
+        exp: decoded.exp,
+        scope: decoded.scope || null,
       };
 
-      next();
+      // Throttled inside the service, so most requests don't write
+      if (decoded.sid) {
+        await sessionService.touchSession(decoded.sid);
+      }
+
+      // Demo accounts are sandboxed to reading
+      if (
+        decoded.scope === DEMO_SCOPE &&
+        !["GET", "HEAD", "OPTIONS"].includes(req.method) &&
+        !DEMO_WRITABLE_PATHS.includes(req.baseUrl + req.path)
+      ) {
+        return res.status(403).json({
+          error: "Demo account",
+          message: "Demo accounts are read-only",
+        });
+      }
     } catch (error) {
       if (error.message === "Token expired") {
         return res.status(401).json({
           error: "Token expired",
-          message: "Please log in again to get a new token",
+          message: "Please refresh your token or log in again",
         });
       } else if (error.message === "Invalid token") {
         return res.status(401).json({
           error: "Invalid token",
           message: "The provided token is malformed or invalid",
         });
+      } else if (error.message === "Token revoked") {
+        return res.status(401).json({
+          error: "Token revoked",
+          message: "This token has been revoked. Please log in again.",
+        });
       } else {
         return res.status(500).json({
           error: "Token validation failed",
@@ -60,6 +95,30 @@ export const authenticateJWT = (req, res, next) => {
       message: "Internal server error during authentication",
     });
   }
+
+  next();
+};
+
+/**
+ * Middleware factory restricting a route to accounts with one of the given roles.
+ * Must run after authenticateJWT.
+ * @param {...string} roles - Roles allowed to access the route
+ * @returns {Function} Express middleware function
+ */
+export const requireRole = (...roles) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return next(new UnauthorizedError("Authentication required"));
+    }
+
+    if (!roles.includes(req.user.role)) {
+      return next(
+        new ForbiddenError(`This action requires one of: ${roles.join(", ")}`)
+      );
+    }
+
+    next();
+  };
 };
 
 /**
@@ -83,5 +142,6 @@ export const optionalAuthentication = (req, res, next) => {
 
 export default {
   authenticateJWT,
+  requireRole,
   optionalAuthentication,
 };
@@ -87,11 +87,15 @@ export const notFoundHandler = (req, res) => {
     message: `Route ${req.method} ${req.url} not found`,
     timestamp: new Date().toISOString(),
     availableEndpoints: [
-      "GET /api/v1/prompts?language=en|fr (authenticated)",
+      "GET /api/v1/prompts?language=<code> (authenticated)",
       "POST /api/v1/auth/request-login",
       "POST /api/v1/auth/verify-login",
+      "POST /api/v1/auth/verify-link",
+      "POST /api/v1/auth/apple",
+      "POST /api/v1/auth/refresh",
       "GET /api/v1/auth/verify",
       "POST /api/v1/auth/logout",
+      "POST /api/v1/auth/logout-all",
       "GET /health",
     ],
   });
@@ -153,6 +157,18 @@ export class TooManyRequestsError extends Error {
   }
 }
 
+export class EmailSuppressedError extends Error {
+  constructor(
+    message = "This email address can't receive mail",
+    reason = null
+  ) {
+    super(message);
+    this.name = "EmailSuppressedError";
+    this.statusCode = 422;
+    this.reason = reason;
+  }
+}
+
 export default {
   errorHandler,
   notFoundHandler,
@@ -162,4 +178,5 @@ export default {
   ForbiddenError,
   NotFoundError,
   TooManyRequestsError,
+  EmailSuppressedError,
 };
@@ -4,8 +4,17 @@
  */
 
 import authService from "../services/authService.js";
+import languageService from "../services/languageService.js";
 import promptService from "../services/promptService.js";
+import promptTransferService from "../services/promptTransferService.js";
+import { asyncHandler } from "./errorHandler.js";
 import config from "../config/environment.js";
+import {
+  isValidJWTFormat,
+  isValidLanguageCode,
+  isValidPromptSetKey,
+  isValidTimezone,
+} from "../utils/validators.js";
 
 /**
  * Validate email in request body
@@ -37,6 +46,30 @@ export const validateEmail = (req, res, next) => {
   next();
 };
 
+/**
+ * Validate optional locale in request body (e.g. "fr" or "fr-CA")
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const validateLocale = (req, res, next) => {
+  const { locale } = req.body;
+
+  if (
+    locale !== undefined &&
+    (typeof locale !== "string" ||
+      !/^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(locale))
+  ) {
+    return res.status(400).json({
+      error: "Validation failed",
+      message: "Locale must be a language tag such as 'en' or 'fr-CA'",
+      field: "locale",
+    });
+  }
+
+  next();
+};
+
 /**
  * Validate login code in request body
  * @param {Object} req - Express request object
@@ -67,27 +100,533 @@ export const validateLoginCode = (req, res, next) => {
 };
 
 /**
- * Validate language parameter in query string
+ * Validate login link token in request body
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const validateLinkToken = (req, res, next) => {
+  const { token } = req.body;
+
+  if (!token || typeof token !== "string") {
+    return res.status(400).json({
+      error: "Validation failed",
+      message: "Login link token is required",
+      field: "token",
+    });
+  }
+
+  if (!/^[A-Za-z0-9_-]{43}$/.test(token)) {
+    return res.status(400).json({
+      error: "Validation failed",
+      message: "Invalid login link token",
+      field: "token",
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate Sign in with Apple request body
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const validateAppleSignIn = (req, res, next) => {
+  const { identityToken, nonce } = req.body;
+
+  if (!isValidJWTFormat(identityToken)) {
+    return res.status(400).json({
+      error: "Validation failed",
+      message: "A valid Apple identity token is required",
+      field: "identityToken",
+    });
+  }
+
+  if (!nonce || typeof nonce !== "string") {
+    return res.status(400).json({
+      error: "Validation failed",
+      message: "Nonce is required",
+      field: "nonce",
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate refresh token in request body
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const validateRefreshToken = (req, res, next) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken || typeof refreshToken !== "string") {
+    return res.status(400).json({
+      error: "Validation failed",
+      message: "Refresh token is required",
+      field: "refreshToken",
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate session ID route parameter
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const validateSessionId = (req, res, next) => {
+  const { id } = req.params;
+
+  if (
+    !/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(id)
+  ) {
+    return res.status(400).json({
+      error: "Validation failed",
+      message: "Invalid session ID",
+      field: "id",
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate a two-factor code in request body: a 6-digit authenticator code
+ * or a recovery code
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const validateTwoFactorCode = (req, res, next) => {
+  const { code } = req.body;
+
+  if (!code || typeof code !== "string") {
+    return res.status(400).json({
+      error: "Validation failed",
+      message: "Two-factor code is required",
+      field: "code",
+    });
+  }
+
+  if (!/^\d{6}$/.test(code) && !/^[a-z2-7]{5}-?[a-z2-7]{5}$/i.test(code)) {
+    return res.status(400).json({
+      error: "Validation failed",
+      message: "Two-factor code must be 6 digits or a recovery code",
+      field: "code",
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate two-factor challenge token in request body
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const validateTwoFactorChallenge = (req, res, next) => {
+  const { challengeToken } = req.body;
+
+  if (!challengeToken || typeof challengeToken !== "string") {
+    return res.status(400).json({
+      error: "Validation failed",
+      message: "Challenge token is required",
+      field: "challengeToken",
+    });
+  }
+
+  if (!/^[A-Za-z0-9_-]{43}$/.test(challengeToken)) {
+    return res.status(400).json({
+      error: "Validation failed",
+      message: "Invalid challenge token",
+      field: "challengeToken",
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate account ID route parameter
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
  */
-export const validateLanguage = (req, res, next) => {
+export const validateAccountId = (req, res, next) => {
+  const { id } = req.params;
+
+  if (!/^\d+$/.test(id) || parseInt(id, 10) <= 0) {
+    return res.status(400).json({
+      error: "Validation failed",
+      message: "Invalid account ID",
+      field: "id",
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate prompt set ID route parameter
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const validatePromptSetId = (req, res, next) => {
+  const { id } = req.params;
+
+  if (!/^\d+$/.test(id) || parseInt(id, 10) <= 0) {
+    return res.status(400).json({
+      error: "Validation failed",
+      message: "Invalid prompt set ID",
+      field: "id",
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate the shape of a prompt set in the request body:
+ * { key?, translations: { <language>: { main_prompt, followups: [...] } } }.
+ * Whether the content is complete is checked by promptService.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const validatePromptSet = asyncHandler(async (req, res, next) => {
+  const { maxTextLength, maxFollowups } = promptService;
+  const { translations, key } = req.body || {};
+  const fail = (field, message) =>
+    res.status(400).json({ error: "Validation failed", message, field });
+
+  if (key !== undefined && !isValidPromptSetKey(key)) {
+    return fail(
+      "key",
+      "Key must be 1-100 letters, digits, dots, dashes or underscores"
+    );
+  }
+
+  if (
+    !translations ||
+    typeof translations !== "object" ||
+    Array.isArray(translations)
+  ) {
+    return fail(
+      "translations",
+      "Translations must be an object keyed by language code"
+    );
+  }
+
+  for (const [language, set] of Object.entries(translations)) {
+    const field = `translations.${language}`;
+
+    if (!(await languageService.isLanguageRegistered(language))) {
+      return fail(field, `Language '${language}' is not registered`);
+    }
+
+    if (!set || typeof set !== "object" || Array.isArray(set)) {
+      return fail(field, "Each translation must be an object");
+    }
+
+    if (
+      typeof set.main_prompt !== "string" ||
+      set.main_prompt.length > maxTextLength
+    ) {
+      return fail(
+        `${field}.main_prompt`,
+        `Main prompt must be a string of at most ${maxTextLength} characters`
+      );
+    }
+
+    if (
+      !Array.isArray(set.followups) ||
+      set.followups.length > maxFollowups ||
+      set.followups.some(
+        (followup) =>
+          typeof followup !== "string" || followup.length > maxTextLength
+      )
+    ) {
+      return fail(
+        `${field}.followups`,
+        `Followups must be an array of at most ${maxFollowups} strings of at most ${maxTextLength} characters`
+      );
+    }
+  }
+
+  next();
+});
+
+/**
+ * Validate the optional format query parameter of a prompt export
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const validateExportFormat = (req, res, next) => {
+  const { format } = req.query;
+
+  if (format !== undefined && !promptTransferService.formats.includes(format)) {
+    return res.status(400).json({
+      error: "Validation failed",
+      message: `Format must be one of: ${promptTransferService.formats.join(", ")}`,
+      field: "format",
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate language code route parameter
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const validateLanguageCode = (req, res, next) => {
+  if (!isValidLanguageCode(req.params.code)) {
+    return res.status(400).json({
+      error: "Validation failed",
+      message: "Invalid language code",
+      field: "code",
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate a language registration or update in the request body. New
+ * languages need a code, name and nativeName; updates need at least one field.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const validateLanguageDetails = (req, res, next) => {
+  const isNew = req.method === "POST";
+  const allowedFields = isNew
+    ? ["code", "name", "nativeName", "direction", "enabled"]
+    : ["name", "nativeName", "direction", "enabled"];
+  const body = req.body || {};
+  const fail = (field, message) =>
+    res.status(400).json({ error: "Validation failed", message, field });
+
+  const unknownField = Object.keys(body).find(
+    (field) => !allowedFields.includes(field)
+  );
+  if (unknownField) {
+    return fail(unknownField, `Unknown language field '${unknownField}'`);
+  }
+
+  if (!isNew && Object.keys(body).length === 0) {
+    return fail(null, "At least one language field is required");
+  }
+
+  if (isNew && !isValidLanguageCode(body.code)) {
+    return fail(
+      "code",
+      "Code must be a lowercase language code such as es or pt-br"
+    );
+  }
+
+  for (const field of ["name", "nativeName"]) {
+    if (isNew && body[field] === undefined) {
+      return fail(field, `${field} is required`);
+    }
+    if (
+      body[field] !== undefined &&
+      (typeof body[field] !== "string" ||
+        body[field].length === 0 ||
+        body[field].length > 100)
+    ) {
+      return fail(field, `${field} must be a string of 1 to 100 characters`);
+    }
+  }
+
+  if (
+    body.direction !== undefined &&
+    !["ltr", "rtl"].includes(body.direction)
+  ) {
+    return fail("direction", "Direction must be ltr or rtl");
+  }
+
+  if (body.enabled !== undefined && typeof body.enabled !== "boolean") {
+    return fail("enabled", "enabled must be true or false");
+  }
+
+  next();
+};
+
+/**
+ * Validate reason in request body (for audited admin actions)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const validateReason = (req, res, next) => {
+  const { reason } = req.body;
+
+  if (!reason || typeof reason !== "string") {
+    return res.status(400).json({
+      error: "Validation failed",
+      message: "Reason is required",
+      field: "reason",
+    });
+  }
+
+  if (reason.length > 500) {
+    return res.status(400).json({
+      error: "Validation failed",
+      message: "Reason must be at most 500 characters",
+      field: "reason",
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate a profile update (PATCH /me). Every field is optional and
+ * may be null to clear it, except the notification booleans.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const validateProfileUpdate = asyncHandler(async (req, res, next) => {
+  const allowedFields = [
+    "displayName",
+    "preferredLanguage",
+    "nativeLanguage",
+    "timezone",
+    "notifications",
+  ];
+  const body = req.body || {};
+  const fail = (field, message) =>
+    res.status(400).json({ error: "Validation failed", message, field });
+
+  const unknownField = Object.keys(body).find(
+    (field) => !allowedFields.includes(field)
+  );
+  if (unknownField) {
+    return fail(unknownField, `Unknown profile field '${unknownField}'`);
+  }
+
+  if (Object.keys(body).length === 0) {
+    return fail(null, "At least one profile field is required");
+  }
+
+  const { displayName, timezone, notifications } = body;
+
+  if (
+    displayName !== undefined &&
+    displayName !== null &&
+    (typeof displayName !== "string" || displayName.trim().length > 100)
+  ) {
+    return fail(
+      "displayName",
+      "Display name must be a string of at most 100 characters"
+    );
+  }
+
+  for (const field of ["preferredLanguage", "nativeLanguage"]) {
+    const language = body[field];
+    if (
+      language !== undefined &&
+      language !== null &&
+      !(await languageService.isLanguageSupported(language))
+    ) {
+      return fail(
+        field,
+        `Unsupported language. Supported languages: ${(await languageService.getSupportedCodes()).join(", ")}`
+      );
+    }
+  }
+
+  if (
+    timezone !== undefined &&
+    timezone !== null &&
+    !isValidTimezone(timezone)
+  ) {
+    return fail(
+      "timezone",
+      "Timezone must be an IANA name such as Europe/Paris"
+    );
+  }
+
+  if (notifications !== undefined) {
+    if (
+      !notifications ||
+      typeof notifications !== "object" ||
+      Array.isArray(notifications)
+    ) {
+      return fail("notifications", "Notifications must be an object");
+    }
+
+    for (const [key, value] of Object.entries(notifications)) {
+      if (!["practiceReminders", "productUpdates"].includes(key)) {
+        return fail(
+          `notifications.${key}`,
+          `Unknown notification setting '${key}'`
+        );
+      }
+      if (typeof value !== "boolean") {
+        return fail(`notifications.${key}`, `${key} must be true or false`);
+      }
+    }
+  }
+
+  next();
+});
+
+/**
+ * Validate optional language parameter in query string.
+ * When it is missing the controller falls back to the account's
+ * preferred language.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const validateLanguage = asyncHandler(async (req, res, next) => {
   const { language } = req.query;
 
-  if (!language) {
+  if (language === undefined) {
+    return next();
+  }
+
+  if (!(await languageService.isLanguageSupported(language))) {
     return res.status(400).json({
       error: "Validation failed",
-      message: "Language parameter is required",
+      message: `Unsupported language. Supported languages: ${(await languageService.getSupportedCodes()).join(", ")}`,
       field: "language",
     });
   }
 
-  if (!promptService.isLanguageSupported(language)) {
+  next();
+});
+
+/**
+ * Validate the optional since query parameter of a delta prompt download
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const validateSyncSince = (req, res, next) => {
+  const { since } = req.query;
+
+  if (since !== undefined && !promptService.parseSyncSince(since)) {
     return res.status(400).json({
       error: "Validation failed",
-      message: `Unsupported language. Supported languages: ${promptService.supportedLanguages.join(", ")}`,
-      field: "language",
+      message:
+        "Since must be a sync token from an earlier response or an ISO 8601 timestamp",
+      field: "since",
     });
   }
 
@@ -164,7 +703,23 @@ export const validateCodeVerification = [validateEmail, validateLoginCode];
 
 export default {
   validateEmail,
+  validateLocale,
   validateLoginCode,
+  validateLinkToken,
+  validateAppleSignIn,
+  validateRefreshToken,
+  validateSessionId,
+  validateTwoFactorCode,
+  validateTwoFactorChallenge,
+  validateAccountId,
+  validatePromptSetId,
+  validatePromptSet,
+  validateExportFormat,
+  validateSyncSince,
+  validateLanguageCode,
+  validateLanguageDetails,
+  validateReason,
+  validateProfileUpdate,
   validateLanguage,
   sanitizeInput,
   validateBodySize,
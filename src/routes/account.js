@@ -0,0 +1,74 @@
+/**
+ * Account Routes
+ * Handles the signed-in user's own account: email changes, security
+ * events, data export and deletion
+ */
+
+import express from "express";
+import accountController from "../controllers/accountController.js";
+import { authenticateJWT } from "../middlewares/auth.js";
+import { validateEmail, validateLoginCode } from "../middlewares/validation.js";
+import { rateLimitPresets } from "../middlewares/rateLimit.js";
+
+const router = express.Router();
+
+/**
+ * POST /api/v1/account/email-change
+ * Send a confirmation code to a new email address
+ */
+router.post(
+  "/email-change",
+  rateLimitPresets.auth, // Strict rate limiting for auth
+  authenticateJWT, // Require authentication
+  validateEmail, // Validate new email format
+  accountController.requestEmailChange
+);
+
+/**
+ * POST /api/v1/account/email-change/verify
+ * Confirm the new email address and get new tokens
+ */
+router.post(
+  "/email-change/verify",
+  rateLimitPresets.auth, // Strict rate limiting for code guesses
+  authenticateJWT, // Require authentication
+  validateLoginCode, // Validate confirmation code format
+  accountController.confirmEmailChange
+);
+
+/**
+ * GET /api/v1/account/security-events?limit=50
+ * List the current user's recent security events
+ */
+router.get(
+  "/security-events",
+  rateLimitPresets.api, // Standard API rate limiting
+  authenticateJWT, // Require authentication
+  accountController.listSecurityEvents
+);
+
+/**
+ * GET /api/v1/account/export
+ * Download everything stored about the current user as JSON
+ */
+router.get(
+  "/export",
+  rateLimitPresets.api, // Standard API rate limiting
+  authenticateJWT, // Require authentication
+  accountController.exportAccount
+);
+
+/**
+ * DELETE /api/v1/account
+ * Permanently delete the current user's account
+ * Requires a fresh login code from POST /api/v1/auth/request-login
+ */
+router.delete(
+  "/",
+  rateLimitPresets.auth, // Strict rate limiting for code guesses
+  authenticateJWT, // Require authentication
+  validateLoginCode, // Validate confirmation code format
+  accountController.deleteAccount
+);
+
+export default router;
@@ -0,0 +1,118 @@
+/**
+ * Admin Routes
+ * Handles admin-only endpoints; every route requires the admin role
+ */
+
+import express from "express";
+import adminController from "../controllers/adminController.js";
+import { authenticateJWT, requireRole } from "../middlewares/auth.js";
+import {
+  validateAccountId,
+  validateReason,
+  validateLanguageCode,
+  validateLanguageDetails,
+  validateExportFormat,
+} from "../middlewares/validation.js";
+import { rateLimitPresets } from "../middlewares/rateLimit.js";
+
+const router = express.Router();
+
+// All admin routes require an authenticated admin
+router.use(
+  rateLimitPresets.api, // Standard API rate limiting
+  authenticateJWT, // Require authentication
+  requireRole("admin") // Admin only
+);
+
+/**
+ * GET /api/v1/admin/accounts/:id
+ * Get an account with its activation history
+ */
+router.get("/accounts/:id", validateAccountId, adminController.getAccount);
+
+/**
+ * GET /api/v1/admin/accounts/:id/security-events?limit=50
+ * List an account's recent security events
+ */
+router.get(
+  "/accounts/:id/security-events",
+  validateAccountId, // Validate account ID
+  adminController.getSecurityEvents
+);
+
+/**
+ * POST /api/v1/admin/accounts/:id/deactivate
+ * Deactivate an account and revoke its tokens
+ */
+router.post(
+  "/accounts/:id/deactivate",
+  validateAccountId, // Validate account ID
+  validateReason, // Require a reason for the audit trail
+  adminController.deactivateAccount
+);
+
+/**
+ * POST /api/v1/admin/accounts/:id/reactivate
+ * Reactivate a deactivated account
+ */
+router.post(
+  "/accounts/:id/reactivate",
+  validateAccountId, // Validate account ID
+  validateReason, // Require a reason for the audit trail
+  adminController.reactivateAccount
+);
+
+/**
+ * GET /api/v1/admin/emails/failed?limit=50
+ * List emails the outbox gave up delivering
+ */
+router.get("/emails/failed", adminController.getFailedEmails);
+
+/**
+ * GET /api/v1/admin/languages
+ * List all registered languages, including disabled ones
+ */
+router.get("/languages", adminController.listLanguages);
+
+/**
+ * POST /api/v1/admin/languages
+ * Register a language (body: code, name, nativeName, direction, enabled)
+ */
+router.post(
+  "/languages",
+  validateLanguageDetails, // Validate language fields
+  adminController.createLanguage
+);
+
+/**
+ * PATCH /api/v1/admin/languages/:code
+ * Rename, enable or disable a language
+ */
+router.patch(
+  "/languages/:code",
+  validateLanguageCode, // Validate language code
+  validateLanguageDetails, // Validate changed fields
+  adminController.updateLanguage
+);
+
+/**
+ * GET /api/v1/admin/prompts/export?format=json|csv
+ * Download every prompt set with its translations
+ */
+router.get(
+  "/prompts/export",
+  validateExportFormat, // Validate export format
+  adminController.exportPrompts
+);
+
+/**
+ * POST /api/v1/admin/prompts/import?dryRun=true
+ * Create or update prompt sets by key from an exported JSON or CSV file
+ */
+router.post(
+  "/prompts/import",
+  express.text({ type: "text/csv", limit: "1mb" }), // Read CSV bodies as text
+  adminController.importPrompts
+);
+
+export default router;
@@ -6,7 +6,17 @@
 import express from "express";
 import authController from "../controllers/authController.js";
 import { authenticateJWT } from "../middlewares/auth.js";
-import { validateEmail, validateLoginCode } from "../middlewares/validation.js";
+import {
+  validateEmail,
+  validateLocale,
+  validateLoginCode,
+  validateLinkToken,
+  validateAppleSignIn,
+  validateRefreshToken,
+  validateSessionId,
+  validateTwoFactorCode,
+  validateTwoFactorChallenge,
+} from "../middlewares/validation.js";
 import { rateLimitPresets } from "../middlewares/rateLimit.js";
 
 const router = express.Router();
@@ -19,6 +29,7 @@ router.post(
   "/request-login",
   rateLimitPresets.auth, // Strict rate limiting for auth
   validateEmail, // Validate email format
+  validateLocale, // Validate optional email locale
   authController.requestLogin
 );
 
@@ -34,6 +45,51 @@ router.post(
   authController.verifyLogin
 );
 
+/**
+ * POST /api/v1/auth/verify-link
+ * Verify one-time login link token and get JWT token
+ */
+router.post(
+  "/verify-link",
+  rateLimitPresets.auth, // Strict rate limiting for auth
+  validateLinkToken, // Validate link token format
+  authController.verifyLink
+);
+
+/**
+ * POST /api/v1/auth/apple
+ * Sign in with an Apple identity token and get JWT token
+ */
+router.post(
+  "/apple",
+  rateLimitPresets.auth, // Strict rate limiting for auth
+  validateAppleSignIn, // Validate identity token and nonce
+  authController.appleSignIn
+);
+
+/**
+ * POST /api/v1/auth/verify-2fa
+ * Answer a two-factor challenge and get JWT token
+ */
+router.post(
+  "/verify-2fa",
+  rateLimitPresets.auth, // Strict rate limiting for auth
+  validateTwoFactorChallenge, // Validate challenge token format
+  validateTwoFactorCode, // Validate authenticator or recovery code format
+  authController.verifyTwoFactor
+);
+
+/**
+ * POST /api/v1/auth/refresh
+ * Rotate refresh token and get a new access token
+ */
+router.post(
+  "/refresh",
+  rateLimitPresets.auth, // Strict rate limiting for auth
+  validateRefreshToken, // Validate refresh token presence
+  authController.refresh
+);
+
 /**
  * GET /api/v1/auth/verify
  * Verify JWT token and get user info
@@ -46,7 +102,7 @@ router.get(
 
 /**
  * POST /api/v1/auth/logout
- * Logout user (client-side token deletion)
+ * Logout user (revokes the current token)
  */
 router.post(
   "/logout",
@@ -54,4 +110,83 @@ router.post(
   authController.logout
 );
 
+/**
+ * POST /api/v1/auth/logout-all
+ * Logout from all devices (revokes every token issued so far)
+ */
+router.post(
+  "/logout-all",
+  authenticateJWT, // Require authentication
+  authController.logoutAll
+);
+
+/**
+ * GET /api/v1/auth/sessions
+ * List signed-in devices for the current account
+ */
+router.get(
+  "/sessions",
+  rateLimitPresets.api, // Standard API rate limiting
+  authenticateJWT, // Require authentication
+  authController.listSessions
+);
+
+/**
+ * DELETE /api/v1/auth/sessions/:id
+ * Revoke a signed-in device
+ */
+router.delete(
+  "/sessions/:id",
+  rateLimitPresets.api, // Standard API rate limiting
+  authenticateJWT, // Require authentication
+  validateSessionId, // Validate session ID format
+  authController.revokeSession
+);
+
+/**
+ * GET /api/v1/auth/2fa
+ * Get two-factor status for the current account
+ */
+router.get(
+  "/2fa",
+  rateLimitPresets.api, // Standard API rate limiting
+  authenticateJWT, // Require authentication
+  authController.getTwoFactorStatus
+);
+
+/**
+ * POST /api/v1/auth/2fa/enroll
+ * Start two-factor enrolment with a new authenticator secret
+ */
+router.post(
+  "/2fa/enroll",
+  rateLimitPresets.auth, // Strict rate limiting for auth
+  authenticateJWT, // Require authentication
+  authController.enrollTwoFactor
+);
+
+/**
+ * POST /api/v1/auth/2fa/confirm
+ * Confirm enrolment with an authenticator code and get recovery codes
+ */
+router.post(
+  "/2fa/confirm",
+  rateLimitPresets.auth, // Strict rate limiting for auth
+  authenticateJWT, // Require authentication
+  validateTwoFactorCode, // Validate authenticator code format
+  authController.confirmTwoFactor
+);
+
+/**
+ * POST /api/v1/auth/2fa/disable
+ * Turn two-factor off with an authenticator or recovery code
+ */
+router.post(
+  "/2fa/disable",
+  rateLimitPresets.auth, // Strict rate limiting for auth
+  authenticateJWT, // Require authentication
+  validateTwoFactorCode, // Validate authenticator or recovery code format
+  authController.disableTwoFactor
+);
+
 export default router;
@@ -6,12 +6,22 @@
 import express from "express";
 import authRoutes from "./auth.js";
 import promptRoutes from "./prompts.js";
+import adminRoutes from "./admin.js";
+import accountRoutes from "./account.js";
+import meRoutes from "./me.js";
+import webhookRoutes from "./webhooks.js";
+import languageRoutes from "./languages.js";
 
 const router = express.Router();
 
 // API v1 routes
 router.use("/auth", authRoutes);
 router.use("/prompts", promptRoutes);
+router.use("/admin", adminRoutes);
+router.use("/account", accountRoutes);
+router.use("/me", meRoutes);
+router.use("/webhooks", webhookRoutes);
+router.use("/languages", languageRoutes);
 
 // Health check endpoint (at API level)
 router.get("/health", (req, res) => {
@@ -31,14 +41,48 @@ router.get("/", (req, res) => {
     environment: process.env.NODE_ENV || "development",
     timestamp: new Date().toISOString(),
     endpoints: [
-      "GET /api/v1/prompts?language=en|fr (authenticated)",
+      "GET /api/v1/prompts?language=<code>&since=<sync token> (authenticated, defaults to preferred language)",
+      "GET /api/v1/languages",
       "POST /api/v1/auth/request-login",
       "POST /api/v1/auth/verify-login",
+      "POST /api/v1/auth/verify-link",
+      "POST /api/v1/auth/apple",
+      "POST /api/v1/auth/verify-2fa",
+      "POST /api/v1/auth/refresh",
       "GET /api/v1/auth/verify",
       "POST /api/v1/auth/logout",
+      "POST /api/v1/auth/logout-all",
+      "GET /api/v1/auth/sessions",
+      "DELETE /api/v1/auth/sessions/:id",
+      "GET /api/v1/auth/2fa",
+      "POST /api/v1/auth/2fa/enroll",
+      "POST /api/v1/auth/2fa/confirm",
+      "POST /api/v1/auth/2fa/disable",
+      "GET /api/v1/me",
+      "PATCH /api/v1/me",
+      "POST /api/v1/account/email-change",
+      "POST /api/v1/account/email-change/verify",
+      "GET /api/v1/account/security-events",
+      "GET /api/v1/account/export",
+      "DELETE /api/v1/account",
+      "POST /api/v1/webhooks/email (signed by the email provider)",
       "GET /api/v1/health",
-      "GET /api/v1/prompts/stats (authenticated)",
-      "POST /api/v1/prompts/validate (authenticated)",
+      "GET /api/v1/prompts/stats (admin)",
+      "POST /api/v1/prompts/validate (admin)",
+      "GET /api/v1/prompts/sets/:id (editor)",
+      "POST /api/v1/prompts/sets (editor)",
+      "PUT /api/v1/prompts/sets/:id (editor)",
+      "DELETE /api/v1/prompts/sets/:id (editor)",
+      "GET /api/v1/admin/accounts/:id (admin)",
+      "GET /api/v1/admin/accounts/:id/security-events (admin)",
+      "POST /api/v1/admin/accounts/:id/deactivate (admin)",
+      "POST /api/v1/admin/accounts/:id/reactivate (admin)",
+      "GET /api/v1/admin/emails/failed (admin)",
+      "GET /api/v1/admin/languages (admin)",
+      "POST /api/v1/admin/languages (admin)",
+      "PATCH /api/v1/admin/languages/:code (admin)",
+      "GET /api/v1/admin/prompts/export (admin)",
+      "POST /api/v1/admin/prompts/import (admin)",
     ],
   });
 });
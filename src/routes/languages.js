@@ -0,0 +1,22 @@
+/**
+ * Language Routes
+ * Public list of the languages prompts are available in
+ */
+
+import express from "express";
+import languageController from "../controllers/languageController.js";
+import { rateLimitPresets } from "../middlewares/rateLimit.js";
+
+const router = express.Router();
+
+/**
+ * GET /api/v1/languages
+ * List enabled languages (no authentication, so apps can show them before login)
+ */
+router.get(
+  "/",
+  rateLimitPresets.api, // Standard API rate limiting
+  languageController.getLanguages
+);
+
+export default router;
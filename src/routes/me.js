@@ -0,0 +1,36 @@
+/**
+ * Profile Routes
+ * Handles the signed-in user's profile and preferences
+ */
+
+import express from "express";
+import accountController from "../controllers/accountController.js";
+import { authenticateJWT } from "../middlewares/auth.js";
+import { validateProfileUpdate } from "../middlewares/validation.js";
+import { rateLimitPresets } from "../middlewares/rateLimit.js";
+
+const router = express.Router();
+
+// All profile routes require an authenticated user
+router.use(
+  rateLimitPresets.api, // Standard API rate limiting
+  authenticateJWT // Require authentication
+);
+
+/**
+ * GET /api/v1/me
+ * Get the current user's profile
+ */
+router.get("/", accountController.getProfile);
+
+/**
+ * PATCH /api/v1/me
+ * Update display name, languages, timezone and notification settings
+ */
+router.patch(
+  "/",
+  validateProfileUpdate, // Validate profile fields
+  accountController.updateProfile
+);
+
+export default router;
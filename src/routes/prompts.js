@@ -5,44 +5,106 @@
 
 import express from "express";
 import promptController from "../controllers/promptController.js";
-import { validateLanguage } from "../middlewares/validation.js";
+import {
+  validateLanguage,
+  validateSyncSince,
+  validatePromptSetId,
+  validatePromptSet,
+} from "../middlewares/validation.js";
 import { rateLimitPresets } from "../middlewares/rateLimit.js";
-import { authenticateJWT } from "../middlewares/auth.js";
+import { authenticateJWT, requireRole } from "../middlewares/auth.js";
 
 const router = express.Router();
 
 /**
- * GET /api/v1/prompts?language=en|fr
- * Get conversation prompts for a specific language
+ * GET /api/v1/prompts?language=<code>&since=<sync token or timestamp>
+ * Get conversation prompts for a specific language, or only the changes
+ * since an earlier sync
  */
 router.get(
   "/",
   rateLimitPresets.prompts, // Lenient rate limiting for prompts
   authenticateJWT, // Require authentication for prompts
   validateLanguage, // Validate language parameter
+  validateSyncSince, // Validate since parameter
   promptController.getPrompts
 );
 
 /**
  * GET /api/v1/prompts/stats
- * Get prompt statistics (admin/debugging)
+ * Get prompt statistics (admin only)
  */
 router.get(
   "/stats",
   rateLimitPresets.api, // Standard API rate limiting
   authenticateJWT, // Require authentication for stats
+  requireRole("admin"), // Admin only
   promptController.getPromptStatistics
 );
 
 /**
  * POST /api/v1/prompts/validate
- * Validate prompt structure (debugging)
+ * Validate prompt structure (admin only)
  */
 router.post(
   "/validate",
   rateLimitPresets.api, // Standard API rate limiting
   authenticateJWT, // Require authentication for validation
+  requireRole("admin"), // Admin only
   promptController.validatePrompts
 );
 
+/**
+ * GET /api/v1/prompts/sets/:id
+ * Get a prompt set with all its translations (editor or admin)
+ */
+router.get(
+  "/sets/:id",
+  rateLimitPresets.api, // Standard API rate limiting
+  authenticateJWT, // Require authentication
+  requireRole("editor", "admin"), // Editors and admins
+  validatePromptSetId, // Validate prompt set ID
+  promptController.getPromptSet
+);
+
+/**
+ * POST /api/v1/prompts/sets
+ * Create a prompt set with its translations (editor or admin)
+ */
+router.post(
+  "/sets",
+  rateLimitPresets.api, // Standard API rate limiting
+  authenticateJWT, // Require authentication
+  requireRole("editor", "admin"), // Editors and admins
+  validatePromptSet, // Validate translations shape
+  promptController.createPromptSet
+);
+
+/**
+ * PUT /api/v1/prompts/sets/:id
+ * Replace a prompt set's prompts and translations (editor or admin)
+ */
+router.put(
+  "/sets/:id",
+  rateLimitPresets.api, // Standard API rate limiting
+  authenticateJWT, // Require authentication
+  requireRole("editor", "admin"), // Editors and admins
+  validatePromptSetId, // Validate prompt set ID
+  validatePromptSet, // Validate translations shape
+  promptController.updatePromptSet
+);
+
+/**
+ * DELETE /api/v1/prompts/sets/:id
+ * Delete a prompt set with all its translations (editor or admin)
+ */
+router.delete(
+  "/sets/:id",
+  rateLimitPresets.api, // Standard API rate limiting
+  authenticateJWT, // Require authentication
+  requireRole("editor", "admin"), // Editors and admins
+  validatePromptSetId, // Validate prompt set ID
+  promptController.deletePromptSet
+);
+
 export default router;
@@ -0,0 +1,18 @@
+/**
+ * Webhook Routes
+ * Handles events pushed by third-party services; each request is
+ * authenticated by its signature instead of a token
+ */
+
+import express from "express";
+import webhookController from "../controllers/webhookController.js";
+
+const router = express.Router();
+
+/**
+ * POST /api/v1/webhooks/email
+ * Receive delivery, bounce and complaint events from the email provider
+ */
+router.post("/email", webhookController.handleEmailEvent);
+
+export default router;
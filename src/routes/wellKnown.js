@@ -0,0 +1,17 @@
+/**
+ * Well-Known Routes
+ * Serves discovery documents under /.well-known
+ */
+
+import express from "express";
+import authController from "../controllers/authController.js";
+
+const router = express.Router();
+
+/**
+ * GET /.well-known/jwks.json
+ * Public keys for verifying access tokens signed with RS256 or ES256
+ */
+router.get("/jwks.json", authController.getJwks);
+
+export default router;
@@ -6,6 +6,8 @@
 import { initializeApp } from "./app.js";
 import config from "./config/environment.js";
 import databaseService from "./services/databaseService.js";
+import authService from "./services/authService.js";
+import emailOutboxService from "./services/emailOutboxService.js";
 import logger from "./utils/logger.js";
 
 /**
@@ -30,6 +32,10 @@ async function startServer() {
         logger.info("🔌 HTTP server closed");
 
         try {
+          // Stop background jobs before closing the pool
+          authService.stopRevocationCleanup();
+          await emailOutboxService.stopWorker();
+
           // Close database connection
           await databaseService.close();
           logger.info("🗄️ Database connection closed");
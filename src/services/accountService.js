@@ -0,0 +1,604 @@
+/**
+ * Account Service
+ * Handles account management operations such as profiles, email changes,
+ * activation status, personal data export and account deletion
+ */
+
+import crypto from "crypto";
+import databaseService from "./databaseService.js";
+import authService from "./authService.js";
+import securityEventService from "./securityEventService.js";
+import emailSuppressionService from "./emailSuppressionService.js";
+
+// profile fields that users can change, mapped to their accounts columns
+const PROFILE_COLUMNS = {
+  displayName: "display_name",
+  preferredLanguage: "preferred_language",
+  nativeLanguage: "native_language",
+  timezone: "timezone",
+  practiceReminders: "notify_practice_reminders",
+  productUpdates: "notify_product_updates",
+};
+
+class AccountService {
+  /**
+   * Find account by ID
+   * @param {number} accountId - Account ID
+   * @returns {Promise<Object|null>} Account or null if not found
+   */
+  async findAccountById(accountId) {
+    const pool = databaseService.getPool();
+    const client = await pool.connect();
+
+    try {
+      const query = "select * from accounts where accountid = $1";
+      const result = await client.query(query, [accountId]);
+
+      return result.rows.length > 0 ? result.rows[0] : null;
+    } catch (error) {
+      throw new Error("database error finding account");
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Update profile fields of an account; fields left undefined are unchanged
+   * @param {number} accountId - Account ID
+   * @param {Object} changes - Profile fields keyed as in PROFILE_COLUMNS
+   * @returns {Promise<Object|null>} Updated account or null if not found
+   */
+  async updateProfile(accountId, changes) {
+    const assignments = [];
+    const values = [accountId];
+
+    for (const [field, column] of Object.entries(PROFILE_COLUMNS)) {
+      if (changes[field] !== undefined) {
+        values.push(changes[field]);
+        assignments.push(`${column} = $${values.length}`);
+      }
+    }
+
+    if (assignments.length === 0) {
+      return this.findAccountById(accountId);
+    }
+
+    const pool = databaseService.getPool();
+    const client = await pool.connect();
+
+    try {
+      const query = `
+        update accounts set ${assignments.join(", ")}
+        where accountid = $1
+        returning *
+      `;
+      const result = await client.query(query, values);
+
+      return result.rows.length > 0 ? result.rows[0] : null;
+    } catch (error) {
+      throw new Error("database error updating profile");
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Start an email change by storing a confirmation code for the new address.
+   * Earlier pending changes for the account are cancelled.
+   * @param {Object} account - Account row
+   * @param {string} newEmail - New email address
+   * @returns {Promise<string|null>} Confirmation code, or null if a change was
+   *   requested too recently
+   */
+  async createEmailChange(account, newEmail) {
+    const pool = databaseService.getPool();
+    const client = await pool.connect();
+
+    try {
+      await client.query("begin");
+
+      const recent = await client.query(
+        `select count(*) as count from email_changes
+         where accountid = $1
+         and created_at > now() - interval '${authService.rateLimitMinutes} minutes'`,
+        [account.accountid]
+      );
+
+      if (recent.rows[0].count !== "0") {
+        await client.query("rollback");
+        return null;
+      }
+
+      await client.query(
+        "update email_changes set is_used = true where accountid = $1 and is_used = false",
+        [account.accountid]
+      );
+
+      const code = authService.generateLoginCode();
+      await client.query(
+        `insert into email_changes (accountid, old_email, new_email, code_hash)
+         values ($1, $2, $3, $4)`,
+        [
+          account.accountid,
+          account.email,
+          newEmail,
+          authService.hashLoginCode(code),
+        ]
+      );
+
+      await client.query("commit");
+      return code;
+    } catch (error) {
+      await client.query("rollback");
+      throw new Error("database error creating email change");
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Confirm a pending email change with the code sent to the new address and
+   * swap the email. Pending login codes for the old address are invalidated
+   * and every session is revoked, since tokens carry the old email claim.
+   * A wrong code counts as a guess and burns the change after maxCodeGuesses.
+   * @param {number} accountId - Account ID
+   * @param {string} code - Confirmation code
+   * @returns {Promise<Object|null>} { emailTaken, account }, or null if the
+   *   code is invalid or expired
+   */
+  async confirmEmailChange(accountId, code) {
+    const pool = databaseService.getPool();
+    const client = await pool.connect();
+
+    try {
+      await client.query("begin");
+
+      const result = await client.query(
+        `select * from email_changes
+         where accountid = $1 and is_used = false
+         and created_at > now() - interval '${authService.loginCodeExpiryMinutes} minutes'
+         order by created_at desc
+         limit 1
+         for update`,
+        [accountId]
+      );
+      const change = result.rows[0];
+
+      const codeHash = Buffer.from(authService.hashLoginCode(code), "hex");
+      if (
+        !change ||
+        !crypto.timingSafeEqual(Buffer.from(change.code_hash, "hex"), codeHash)
+      ) {
+        if (change) {
+          await client.query(
+            `update email_changes
+             set failed_attempts = failed_attempts + 1,
+                 is_used = (failed_attempts + 1 >= $2)
+             where changeid = $1`,
+            [change.changeid, authService.maxCodeGuesses]
+          );
+        }
+        await client.query("commit");
+        return null;
+      }
+
+      await client.query(
+        "update email_changes set is_used = true where changeid = $1",
+        [change.changeid]
+      );
+
+      const taken = await client.query(
+        "select 1 from accounts where email = $1 and accountid <> $2",
+        [change.new_email, accountId]
+      );
+      if (taken.rows.length > 0) {
+        await client.query("commit");
+        return { emailTaken: true };
+      }
+
+      const account = await client.query(
+        "update accounts set email = $2 where accountid = $1 returning *",
+        [accountId, change.new_email]
+      );
+
+      await client.query(
+        "update email_changes set completed_at = now() where changeid = $1",
+        [change.changeid]
+      );
+
+      // the old address can no longer be used to sign in to this account
+      await client.query(
+        "update login_attempts set is_used = true where email = $1 and is_used = false",
+        [change.old_email]
+      );
+      await client.query("delete from login_lockouts where email = $1", [
+        change.old_email,
+      ]);
+
+      await authService.revokeAccountSessions(client, accountId);
+
+      await client.query("commit");
+      return { emailTaken: false, account: account.rows[0] };
+    } catch (error) {
+      await client.query("rollback");
+      throw new Error("database error confirming email change");
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Find the account linked to an external identity and mark the link as used
+   * @param {string} provider - Identity provider (e.g. "apple")
+   * @param {string} subject - Provider's stable user identifier
+   * @returns {Promise<Object|null>} Account or null if not linked
+   */
+  async findAccountByIdentity(provider, subject) {
+    const pool = databaseService.getPool();
+    const client = await pool.connect();
+
+    try {
+      const query = `
+        update account_identities set last_used_at = now()
+        where provider = $1 and subject = $2
+        returning accountid
+      `;
+      const result = await client.query(query, [provider, subject]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      const account = await client.query(
+        "select * from accounts where accountid = $1",
+        [result.rows[0].accountid]
+      );
+      return account.rows[0] || null;
+    } catch (error) {
+      throw new Error("database error finding account identity");
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Link an external identity to an account
+   * @param {number} accountId - Account to link
+   * @param {string} provider - Identity provider (e.g. "apple")
+   * @param {string} subject - Provider's stable user identifier
+   * @param {string|null} email - Email reported by the provider
+   * @returns {Promise<void>}
+   */
+  async linkIdentity(accountId, provider, subject, email) {
+    const pool = databaseService.getPool();
+    const client = await pool.connect();
+
+    try {
+      const query = `
+        insert into account_identities (accountid, provider, subject, email)
+        values ($1, $2, $3, $4)
+        on conflict (provider, subject) do nothing
+      `;
+      await client.query(query, [accountId, provider, subject, email]);
+    } catch (error) {
+      throw new Error("database error linking account identity");
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Activate or deactivate an account and record the reason.
+   * Deactivation also revokes every token and session of the account.
+   * @param {number} accountId - Account to change
+   * @param {boolean} isActive - New status
+   * @param {string} reason - Why the status was changed (stored for auditing)
+   * @param {number} changedBy - Admin account making the change
+   * @param {Object} [context] - Admin's client details (ipAddress, userAgent) for the audit trail
+   * @returns {Promise<Object|null>} Updated account or null if not found
+   */
+  async setAccountActive(accountId, isActive, reason, changedBy, context = {}) {
+    const pool = databaseService.getPool();
+    const client = await pool.connect();
+
+    try {
+      await client.query("begin");
+
+      const result = await client.query(
+        "update accounts set is_active = $2 where accountid = $1 returning *",
+        [accountId, isActive]
+      );
+
+      if (result.rows.length === 0) {
+        await client.query("rollback");
+        return null;
+      }
+
+      await client.query(
+        `insert into account_status_changes (accountid, is_active, reason, changed_by)
+         values ($1, $2, $3, $4)`,
+        [accountId, isActive, reason, changedBy]
+      );
+
+      if (!isActive) {
+        await authService.revokeAccountTokens(client, accountId);
+      }
+
+      await securityEventService.recordEvent(client, {
+        type: isActive ? "account_reactivated" : "account_deactivated",
+        accountId: accountId,
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent,
+        details: { reason: reason, changedBy: changedBy },
+      });
+
+      await client.query("commit");
+      return result.rows[0];
+    } catch (error) {
+      await client.query("rollback");
+      throw new Error("database error updating account status");
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get the activation history of an account, newest first
+   * @param {number} accountId - Account ID
+   * @returns {Promise<Array>} Status changes
+   */
+  async getStatusChanges(accountId) {
+    const pool = databaseService.getPool();
+    const client = await pool.connect();
+
+    try {
+      const query = `
+        select changeid, is_active, reason, changed_by, created_at
+        from account_status_changes
+        where accountid = $1
+        order by created_at desc, changeid desc
+      `;
+      const result = await client.query(query, [accountId]);
+      return result.rows;
+    } catch (error) {
+      throw new Error("database error fetching account status changes");
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Collect everything stored about an account for a personal data export.
+   * Secrets (code, link and token hashes) are never included.
+   * @param {number} accountId - Account ID
+   * @returns {Promise<Object|null>} Export data or null if not found
+   */
+  async exportAccountData(accountId) {
+    const pool = databaseService.getPool();
+    const client = await pool.connect();
+
+    try {
+      const accountResult = await client.query(
+        `select accountid, email, role, is_active, created_at, last_login_at,
+                display_name, preferred_language, native_language, timezone,
+                notify_practice_reminders, notify_product_updates
+         from accounts where accountid = $1`,
+        [accountId]
+      );
+
+      if (accountResult.rows.length === 0) {
+        return null;
+      }
+
+      const account = accountResult.rows[0];
+
+      const loginAttempts = await client.query(
+        `select attemptid, email, created_at, is_used, failed_attempts
+         from login_attempts
+         where email = $1 or email in (
+           select old_email from email_changes
+           where accountid = $2 and completed_at is not null
+           and old_email not in (select email from accounts)
+         )
+         order by created_at desc`,
+        [account.email, accountId]
+      );
+
+      // delivery records only; bodies are cleared once an email is sent
+      const emails = await client.query(
+        `select messageid, to_email, template, subject, status, attempts,
+                created_at, sent_at, delivered_at, bounced_at, complained_at
+         from email_outbox
+         where to_email = $1 or to_email in (
+           select old_email from email_changes
+           where accountid = $2 and completed_at is not null
+           and old_email not in (select email from accounts)
+         )
+         order by created_at desc`,
+        [account.email, accountId]
+      );
+
+      const previousEmails = await client.query(
+        `select distinct old_email from email_changes
+         where accountid = $1 and completed_at is not null
+         and old_email not in (select email from accounts)`,
+        [accountId]
+      );
+      const emailSuppressions = await emailSuppressionService.findByEmails(
+        client,
+        [account.email, ...previousEmails.rows.map((row) => row.old_email)]
+      );
+
+      const sessions = await client.query(
+        `select sessionid, device_name, user_agent, ip_address,
+                created_at, last_seen_at, revoked_at
+         from sessions where accountid = $1
+         order by created_at desc`,
+        [accountId]
+      );
+
+      const refreshTokens = await client.query(
+        `select family_id, created_at, expires_at, used_at, revoked_at
+         from refresh_tokens where accountid = $1
+         order by created_at desc`,
+        [accountId]
+      );
+
+      const identities = await client.query(
+        `select provider, subject, email, created_at, last_used_at
+         from account_identities where accountid = $1
+         order by created_at`,
+        [accountId]
+      );
+
+      const emailChanges = await client.query(
+        `select old_email, new_email, created_at, completed_at
+         from email_changes where accountid = $1
+         order by created_at desc`,
+        [accountId]
+      );
+
+      const securityEvents = await client.query(
+        `select event_type, outcome, ip_address, user_agent, details, created_at
+         from security_events where accountid = $1
+         order by created_at desc, eventid desc`,
+        [accountId]
+      );
+
+      const statusChanges = await client.query(
+        `select is_active, reason, created_at
+         from account_status_changes where accountid = $1
+         order by created_at desc, changeid desc`,
+        [accountId]
+      );
+
+      // whether two-factor is on, never the secret or recovery codes
+      const twoFactor = await client.query(
+        `select s.confirmed_at, count(r.codeid) as recovery_count
+         from two_factor_secrets s
+         left join two_factor_recovery_codes r
+           on r.accountid = s.accountid and r.used_at is null
+         where s.accountid = $1 and s.confirmed_at is not null
+         group by s.confirmed_at`,
+        [accountId]
+      );
+
+      return {
+        account,
+        twoFactor: {
+          enabled: twoFactor.rows.length > 0,
+          confirmedAt: twoFactor.rows[0]?.confirmed_at || null,
+          recoveryCodesLeft: parseInt(
+            twoFactor.rows[0]?.recovery_count || 0,
+            10
+          ),
+        },
+        loginAttempts: loginAttempts.rows,
+        emails: emails.rows,
+        emailSuppressions,
+        sessions: sessions.rows,
+        refreshTokens: refreshTokens.rows,
+        identities: identities.rows,
+        emailChanges: emailChanges.rows,
+        statusChanges: statusChanges.rows,
+        securityEvents: securityEvents.rows,
+      };
+    } catch (error) {
+      throw new Error("database error exporting account data");
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Permanently delete an account and all data stored about it
+   * @param {number} accountId - Account to delete
+   * @returns {Promise<boolean>} Whether the account existed and was deleted
+   */
+  async deleteAccount(accountId) {
+    const pool = databaseService.getPool();
+    const client = await pool.connect();
+
+    try {
+      await client.query("begin");
+
+      const result = await client.query(
+        "select email from accounts where accountid = $1 for update",
+        [accountId]
+      );
+
+      if (result.rows.length === 0) {
+        await client.query("rollback");
+        return false;
+      }
+
+      const emails = [result.rows[0].email];
+      const previous = await client.query(
+        `select distinct old_email from email_changes
+         where accountid = $1 and completed_at is not null
+         and old_email not in (select email from accounts)`,
+        [accountId]
+      );
+      emails.push(...previous.rows.map((row) => row.old_email));
+
+      // per-email data, including earlier addresses no other account has taken;
+      // suppressions are kept (only as hashes) so a new account isn't mailed
+      for (const email of emails) {
+        await client.query("delete from login_attempts where email = $1", [
+          email,
+        ]);
+        await client.query("delete from login_lockouts where email = $1", [
+          email,
+        ]);
+        await client.query("delete from email_outbox where to_email = $1", [
+          email,
+        ]);
+        await client.query("delete from security_events where email = $1", [
+          email,
+        ]);
+      }
+
+      // per-account data, children before the accounts row
+      for (const table of [
+        "refresh_tokens",
+        "revoked_tokens",
+        "sessions",
+        "account_identities",
+        "account_status_changes",
+        "email_changes",
+        "security_events",
+        "two_factor_challenges",
+        "two_factor_lockouts",
+        "two_factor_recovery_codes",
+        "two_factor_secrets",
+      ]) {
+        await client.query(`delete from ${table} where accountid = $1`, [
+          accountId,
+        ]);
+      }
+
+      // keep other accounts' audit history, but not who changed it
+      await client.query(
+        "update account_status_changes set changed_by = null where changed_by = $1",
+        [accountId]
+      );
+
+      await client.query("delete from accounts where accountid = $1", [
+        accountId,
+      ]);
+
+      await client.query("commit");
+      return true;
+    } catch (error) {
+      await client.query("rollback");
+      throw new Error("database error deleting account");
+    } finally {
+      client.release();
+    }
+  }
+}
+
+// create singleton instance
+const accountService = new AccountService();
+
+export default accountService;
@@ -0,0 +1,268 @@
+/**
+ * Apple Authentication Service
+ * Verifies Sign in with Apple identity tokens and resolves the matching account
+ */
+
+import jwt from "jsonwebtoken";
+import crypto from "crypto";
+import fs from "fs";
+import https from "https";
+import config from "../config/environment.js";
+import authService from "./authService.js";
+import accountService from "./accountService.js";
+import emailDomainService from "./emailDomainService.js";
+import {
+  UnauthorizedError,
+  ForbiddenError,
+} from "../middlewares/errorHandler.js";
+
+const APPLE_ISSUER = "https://appleid.apple.com";
+
+/**
+ * Download and parse a JSON document over HTTPS
+ * @param {string} url - Document URL
+ * @returns {Promise<Object>} Parsed JSON
+ */
+function fetchJson(url) {
+  return new Promise((resolve, reject) => {
+    const request = https.get(url, { timeout: 5000 }, (response) => {
+      if (response.statusCode !== 200) {
+        response.resume();
+        reject(new Error(`unexpected status ${response.statusCode}`));
+        return;
+      }
+
+      let body = "";
+      response.setEncoding("utf8");
+      response.on("data", (chunk) => (body += chunk));
+      response.on("end", () => {
+        try {
+          resolve(JSON.parse(body));
+        } catch (error) {
+          reject(error);
+        }
+      });
+    });
+
+    request.on("timeout", () =>
+      request.destroy(new Error("request timed out"))
+    );
+    request.on("error", reject);
+  });
+}
+
+/**
+ * Create a JWKS provider that downloads the key set from a URL
+ * @param {string} url - JWKS URL
+ * @returns {Function} Async function resolving to a JWKS object
+ */
+export function createRemoteJwksProvider(url) {
+  return () => fetchJson(url);
+}
+
+/**
+ * Create a JWKS provider that reads the key set from a local JSON file
+ * @param {string} filePath - Path to a JWKS JSON file
+ * @returns {Function} Async function resolving to a JWKS object
+ */
+export function createFileJwksProvider(filePath) {
+  return async () => JSON.parse(await fs.promises.readFile(filePath, "utf8"));
+}
+
+/**
+ * Create a JWKS provider that always returns the given key set
+ * @param {Object} jwks - JWKS object ({ keys: [...] })
+ * @returns {Function} Async function resolving to the JWKS object
+ */
+export function createStaticJwksProvider(jwks) {
+  return async () => jwks;
+}
+
+class AppleAuthService {
+  /**
+   * @param {Function} jwksProvider - Async function resolving to Apple's JWKS
+   */
+  constructor(jwksProvider) {
+    this.jwksProvider = jwksProvider;
+    this.audience = config.appleAudience;
+    this.keyCacheMs = 60 * 60 * 1000; // 1 hour
+    this.minRefetchMs = 60 * 1000; // refetch for unknown kids at most once a minute
+    this.keys = null; // Map of kid -> public KeyObject
+    this.keysFetchedAt = 0;
+  }
+
+  /**
+   * Replace the JWKS source (e.g. with a local key set for offline testing)
+   * @param {Function} jwksProvider - Async function resolving to a JWKS object
+   */
+  setJwksProvider(jwksProvider) {
+    this.jwksProvider = jwksProvider;
+    this.keys = null;
+    this.keysFetchedAt = 0;
+  }
+
+  /**
+   * Check whether Sign in with Apple is configured
+   * @returns {boolean} Whether at least one audience is configured
+   */
+  isConfigured() {
+    return this.audience.length > 0;
+  }
+
+  /**
+   * Load the signing keys from the JWKS provider
+   * @returns {Promise<void>}
+   */
+  async loadKeys() {
+    let jwks;
+    try {
+      jwks = await this.jwksProvider();
+    } catch (error) {
+      throw new Error(`failed to load apple signing keys: ${error.message}`);
+    }
+
+    const keys = new Map();
+    for (const jwk of jwks?.keys || []) {
+      if (jwk.kid && jwk.kty) {
+        keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: "jwk" }));
+      }
+    }
+
+    this.keys = keys;
+    this.keysFetchedAt = Date.now();
+  }
+
+  /**
+   * Get the public key for a key ID, refreshing the cache when Apple rotates keys
+   * @param {string} kid - Key ID from the token header
+   * @returns {Promise<KeyObject>} Public key
+   * @throws {UnauthorizedError} If no key with this ID exists
+   */
+  async getSigningKey(kid) {
+    const age = Date.now() - this.keysFetchedAt;
+
+    if (!this.keys || age > this.keyCacheMs) {
+      await this.loadKeys();
+    } else if (!this.keys.has(kid) && age > this.minRefetchMs) {
+      await this.loadKeys();
+    }
+
+    const key = this.keys.get(kid);
+    if (!key) {
+      throw new UnauthorizedError("Identity token signed with an unknown key");
+    }
+    return key;
+  }
+
+  /**
+   * Verify an Apple identity token: signature, issuer, audience, expiry and nonce
+   * @param {string} identityToken - Identity token from the iOS app
+   * @param {string} nonce - Raw nonce; the token carries its SHA-256 hex digest
+   * @returns {Promise<Object>} Verified token claims
+   * @throws {UnauthorizedError} If the token fails verification
+   */
+  async verifyIdentityToken(identityToken, nonce) {
+    const decoded = jwt.decode(identityToken, { complete: true });
+    if (!decoded || !decoded.header || !decoded.header.kid) {
+      throw new UnauthorizedError("Malformed identity token");
+    }
+
+    const key = await this.getSigningKey(decoded.header.kid);
+
+    let claims;
+    try {
+      claims = jwt.verify(identityToken, key, {
+        algorithms: ["RS256"],
+        issuer: APPLE_ISSUER,
+        audience: this.audience,
+      });
+    } catch (error) {
+      if (error.name === "TokenExpiredError") {
+        throw new UnauthorizedError("Identity token expired");
+      }
+      throw new UnauthorizedError(`Invalid identity token: ${error.message}`);
+    }
+
+    const expectedNonce = Buffer.from(
+      crypto.createHash("sha256").update(nonce).digest("hex")
+    );
+    const tokenNonce = Buffer.from(String(claims.nonce || ""));
+
+    if (
+      tokenNonce.length !== expectedNonce.length ||
+      !crypto.timingSafeEqual(tokenNonce, expectedNonce)
+    ) {
+      throw new UnauthorizedError("Identity token nonce mismatch");
+    }
+
+    return claims;
+  }
+
+  /**
+   * Verify an identity token and find, link or create the matching account.
+   * An already linked Apple subject wins; otherwise the verified email is
+   * used to link an existing account or to create a new one.
+   * @param {string} identityToken - Identity token from the iOS app
+   * @param {string} nonce - Raw nonce used for the sign-in request
+   * @returns {Promise<Object>} Account row
+   * @throws {UnauthorizedError} If the token fails verification
+   * @throws {ForbiddenError} If the email's domain may not be used
+   */
+  async signIn(identityToken, nonce) {
+    const claims = await this.verifyIdentityToken(identityToken, nonce);
+
+    const linked = await accountService.findAccountByIdentity(
+      "apple",
+      claims.sub
+    );
+    if (linked) {
+      // the deny list applies to existing accounts too
+      const blocked = await emailDomainService.checkEmail(linked.email, {
+        newAccount: false,
+      });
+      if (blocked) {
+        throw new ForbiddenError(blocked.message);
+      }
+      return linked;
+    }
+
+    const email = claims.email ? String(claims.email).toLowerCase() : null;
+    const emailVerified =
+      claims.email_verified === true || claims.email_verified === "true";
+
+    if (!email || !emailVerified) {
+      throw new UnauthorizedError(
+        "Identity token has no verified email to link an account"
+      );
+    }
+
+    const existing = await authService.findAccountByEmail(email);
+
+    const blocked = await emailDomainService.checkEmail(email, {
+      newAccount: !existing,
+    });
+    if (blocked) {
+      throw new ForbiddenError(blocked.message);
+    }
+
+    const account = existing || (await authService.createAccount(email));
+
+    await accountService.linkIdentity(
+      account.accountid,
+      "apple",
+      claims.sub,
+      email
+    );
+
+    return account;
+  }
+}
+
+// create singleton instance with the configured key source
+const appleAuthService = new AppleAuthService(
+  config.appleJwksFile
+    ? createFileJwksProvider(config.appleJwksFile)
+    : createRemoteJwksProvider(config.appleJwksUrl)
+);
+
+export default appleAuthService;
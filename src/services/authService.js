@@ -7,14 +7,28 @@ import jwt from "jsonwebtoken";
 import crypto from "crypto";
 import config from "../config/environment.js";
 import databaseService from "./databaseService.js";
+import sessionService from "./sessionService.js";
+import jwtKeyService from "./jwtKeyService.js";
+import securityEventService from "./securityEventService.js";
+import emailOutboxService from "./emailOutboxService.js";
+import demoAccountService, { DEMO_SCOPE } from "./demoAccountService.js";
 
 class AuthService {
   constructor() {
-    this.jwtSecret = config.jwtSecret;
-    this.jwtExpiresIn = "30d";
+    this.loginCodeSecret = config.loginCodeSecret;
+    this.accessTokenExpiryMinutes = 15;
+    this.refreshTokenExpiryDays = 30;
     this.loginCodeLength = 6;
     this.loginCodeExpiryMinutes = 10;
     this.rateLimitMinutes = 1;
+    this.roles = ["user", "editor", "admin"];
+    this.maxCodeGuesses = 5; // wrong guesses before an issued code is burned
+    this.loginBackoffThreshold = 3; // failures before backoff starts
+    this.loginBackoffBaseSeconds = 30;
+    this.loginBackoffMaxSeconds = 60 * 60; // 1 hour
+    this.loginFailureWindowMinutes = 60; // failures older than this are forgotten
+    this.revocationCleanupIntervalMs = 60 * 60 * 1000; // 1 hour
+    this.revocationCleanupInterval = null;
   }
 
   /**
@@ -29,33 +43,95 @@ class AuthService {
   }
 
   /**
-   * Generate JWT token for authenticated user
+   * Hash a login code for storage; codes are never stored in plaintext
+   * @param {string} code - Raw login code
+   * @returns {string} HMAC-SHA256 hex digest keyed with the login code secret
+   */
+  hashLoginCode(code) {
+    return crypto
+      .createHmac("sha256", this.loginCodeSecret)
+      .update(code)
+      .digest("hex");
+  }
+
+  /**
+   * Generate a one-time login link token
+   * @returns {string} Random URL-safe link token
+   */
+  generateLoginLinkToken() {
+    return crypto.randomBytes(32).toString("base64url");
+  }
+
+  /**
+   * Build the magic login link for a link token
+   * @param {string} linkToken - Raw link token
+   * @returns {string|null} Login link, or null if no link base URL is configured
+   */
+  buildLoginLink(linkToken) {
+    if (!config.loginLinkBaseUrl) {
+      return null;
+    }
+
+    const url = new URL(config.loginLinkBaseUrl);
+    url.searchParams.set("token", linkToken);
+    return url.toString();
+  }
+
+  /**
+   * Generate short-lived JWT access token for authenticated user
    * @param {number} accountId - User account ID
    * @param {string} email - User email address
+   * @param {Object} options - Additional claims
+   * @param {string|null} options.sessionId - Session the token belongs to
+   * @param {string} options.role - Account role
    * @returns {string} JWT token
    */
-  generateJWT(accountId, email) {
+  generateJWT(accountId, email, { sessionId = null, role = "user" } = {}) {
+    const demo = demoAccountService.isDemoAccount(email);
     const payload = {
       accountId: accountId,
       email: email,
+      role: demo ? "user" : role, // demo accounts never get elevated roles
+      jti: crypto.randomUUID(),
       iat: Math.floor(Date.now() / 1000),
     };
 
-    return jwt.sign(payload, this.jwtSecret, {
-      expiresIn: this.jwtExpiresIn,
+    if (sessionId) {
+      payload.sid = sessionId;
+    }
+
+    // demo tokens are limited to read-only requests (see authenticateJWT)
+    if (demo) {
+      payload.scope = DEMO_SCOPE;
+    }
+
+    // sign with the newest active key; the kid header tells verifiers which
+    const key = jwtKeyService.getSigningKey();
+    return jwt.sign(payload, key.signingKey, {
+      algorithm: key.alg,
+      keyid: key.kid,
+      expiresIn: `${this.accessTokenExpiryMinutes}m`,
       issuer: "chatterbox-app",
     });
   }
 
   /**
-   * Verify and decode JWT token
+   * Verify and decode JWT token with the key named by its kid header
    * @param {string} token - JWT token to verify
    * @returns {Object} Decoded token payload
-   * @throws {Error} If token is invalid or expired
+   * @throws {Error} If token is invalid or expired, or its key is retired
    */
   verifyJWT(token) {
+    const decoded = jwt.decode(token, { complete: true });
+    const key = decoded && jwtKeyService.getVerificationKey(decoded.header.kid);
+
+    if (!key) {
+      throw new Error("Invalid token");
+    }
+
     try {
-      return jwt.verify(token, this.jwtSecret);
+      // only accept the key's own algorithm to rule out algorithm confusion
+      return jwt.verify(token, key.verificationKey, { algorithms: [key.alg] });
     } catch (error) {
       if (error.name === "TokenExpiredError") {
         throw new Error("Token expired");
@@ -67,6 +143,380 @@ class AuthService {
     }
   }
 
+  /**
+   * Generate an opaque refresh token
+   * @returns {string} Random URL-safe refresh token
+   */
+  generateRefreshToken() {
+    return crypto.randomBytes(32).toString("base64url");
+  }
+
+  /**
+   * Hash an opaque token (refresh token or login link token) for storage and lookup
+   * @param {string} token - Raw token
+   * @returns {string} SHA-256 hex digest
+   */
+  hashToken(token) {
+    return crypto.createHash("sha256").update(token).digest("hex");
+  }
+
+  /**
+   * Insert a refresh token using an existing client (for use inside transactions)
+   * @param {Object} client - PostgreSQL client
+   * @param {number} accountId - User account ID
+   * @param {string} familyId - Token family the new token belongs to
+   * @returns {Promise<Object>} Raw refresh token and its expiry date
+   */
+  async insertRefreshToken(client, accountId, familyId) {
+    const refreshToken = this.generateRefreshToken();
+    const expiresAt = new Date(
+      Date.now() + this.refreshTokenExpiryDays * 24 * 60 * 60 * 1000
+    );
+
+    await client.query(
+      `insert into refresh_tokens (accountid, family_id, token_hash, expires_at)
+       values ($1, $2, $3, $4)`,
+      [accountId, familyId, this.hashToken(refreshToken), expiresAt]
+    );
+
+    return { refreshToken, expiresAt };
+  }
+
+  /**
+   * Issue a refresh token starting a new token family
+   * @param {number} accountId - User account ID
+   * @param {string} familyId - Token family ID (the session ID)
+   * @returns {Promise<Object>} Raw refresh token and its expiry date
+   */
+  async issueRefreshToken(accountId, familyId) {
+    const pool = databaseService.getPool();
+    const client = await pool.connect();
+
+    try {
+      return await this.insertRefreshToken(client, accountId, familyId);
+    } catch (error) {
+      throw new Error("database error issuing refresh token");
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Exchange a refresh token for a new one in the same family.
+   * Presenting a token that was already rotated is treated as theft: the
+   * whole family and its session are revoked and reuseDetected is returned.
+   * @param {string} refreshToken - Raw refresh token from the client
+   * @param {Object} [context] - Client details (ipAddress, userAgent) for the audit trail
+   * @returns {Promise<Object|null>} Rotation result, or null if the token is unknown, revoked or expired
+   */
+  async rotateRefreshToken(refreshToken, context = {}) {
+    const pool = databaseService.getPool();
+    const client = await pool.connect();
+
+    try {
+      await client.query("begin");
+
+      const query = `
+        select rt.*, a.email, a.role, a.is_active from refresh_tokens rt
+        join accounts a on a.accountid = rt.accountid
+        where rt.token_hash = $1
+        for update of rt
+      `;
+      const result = await client.query(query, [this.hashToken(refreshToken)]);
+      const stored = result.rows[0];
+
+      if (!stored || stored.revoked_at || stored.is_active === false) {
+        await client.query("commit");
+        return null;
+      }
+
+      if (stored.used_at) {
+        await client.query(
+          `update refresh_tokens set revoked_at = now()
+           where family_id = $1 and revoked_at is null`,
+          [stored.family_id]
+        );
+        // the session too, so its access tokens stop working right away
+        await client.query(
+          `update sessions set revoked_at = now()
+           where sessionid = $1 and revoked_at is null`,
+          [stored.family_id]
+        );
+        await securityEventService.recordEvent(client, {
+          type: "token_revoked",
+          accountId: stored.accountid,
+          ipAddress: context.ipAddress,
+          userAgent: context.userAgent,
+          details: {
+            reason: "refresh_token_reuse",
+            sessionId: stored.family_id,
+          },
+        });
+        await client.query("commit");
+        return { reuseDetected: true, accountId: stored.accountid };
+      }
+
+      if (new Date(stored.expires_at) <= new Date()) {
+        await client.query("commit");
+        return null;
+      }
+
+      await client.query(
+        "update refresh_tokens set used_at = now() where tokenid = $1",
+        [stored.tokenid]
+      );
+      await client.query(
+        "update sessions set last_seen_at = now() where sessionid = $1",
+        [stored.family_id]
+      );
+
+      const next = await this.insertRefreshToken(
+        client,
+        stored.accountid,
+        stored.family_id
+      );
+
+      await client.query("commit");
+
+      return {
+        reuseDetected: false,
+        accountId: stored.accountid,
+        email: stored.email,
+        role: stored.role,
+        sessionId: stored.family_id,
+        refreshToken: next.refreshToken,
+        refreshTokenExpiresAt: next.expiresAt,
+      };
+    } catch (error) {
+      await client.query("rollback");
+      throw new Error("database error rotating refresh token");
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Build the access token payload returned to clients
+   * @param {number} accountId - User account ID
+   * @param {string} email - User email address
+   * @param {Object} options - Additional claims (sessionId, role)
+   * @returns {Object} Access token and its expiry date
+   */
+  issueAccessToken(accountId, email, options = {}) {
+    const token = this.generateJWT(accountId, email, options);
+    const expiresAt = new Date(
+      Date.now() + this.accessTokenExpiryMinutes * 60 * 1000
+    );
+
+    return { token, expiresAt };
+  }
+
+  /**
+   * Revoke a single access token by its jti claim
+   * @param {string} jti - Token ID
+   * @param {number} accountId - Account the token was issued to
+   * @param {number} exp - Token expiry (seconds since epoch)
+   * @returns {Promise<void>}
+   */
+  async revokeToken(jti, accountId, exp) {
+    const pool = databaseService.getPool();
+    const client = await pool.connect();
+
+    try {
+      const query = `
+        insert into revoked_tokens (jti, accountid, expires_at)
+        values ($1, $2, to_timestamp($3))
+        on conflict (jti) do nothing
+      `;
+      await client.query(query, [jti, accountId, exp]);
+    } catch (error) {
+      throw new Error("database error revoking token");
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Revoke the refresh token family a refresh token belongs to
+   * @param {number} accountId - Account the token was issued to
+   * @param {string} refreshToken - Raw refresh token from the client
+   * @returns {Promise<void>}
+   */
+  async revokeRefreshTokenFamily(accountId, refreshToken) {
+    const pool = databaseService.getPool();
+    const client = await pool.connect();
+
+    try {
+      const query = `
+        update refresh_tokens set revoked_at = now()
+        where revoked_at is null and family_id in (
+          select family_id from refresh_tokens
+          where token_hash = $1 and accountid = $2
+        )
+      `;
+      await client.query(query, [this.hashToken(refreshToken), accountId]);
+    } catch (error) {
+      throw new Error("database error revoking refresh token");
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Revoke every access token, refresh token and session of an account
+   * using an existing client (for use inside transactions)
+   * @param {Object} client - PostgreSQL client
+   * @param {number} accountId - User account ID
+   * @returns {Promise<void>}
+   */
+  async revokeAccountTokens(client, accountId) {
+    await client.query(
+      "update accounts set tokens_revoked_before = now() where accountid = $1",
+      [accountId]
+    );
+    await this.revokeAccountSessions(client, accountId);
+  }
+
+  /**
+   * Revoke every session and refresh token of an account using an existing
+   * client. Access tokens carry their session ID, so they stop working too.
+   * Unlike revokeAccountTokens this leaves tokens_revoked_before alone.
+   * @param {Object} client - PostgreSQL client
+   * @param {number} accountId - User account ID
+   * @returns {Promise<void>}
+   */
+  async revokeAccountSessions(client, accountId) {
+    await client.query(
+      `update refresh_tokens set revoked_at = now()
+       where accountid = $1 and revoked_at is null`,
+      [accountId]
+    );
+    await client.query(
+      `update sessions set revoked_at = now()
+       where accountid = $1 and revoked_at is null`,
+      [accountId]
+    );
+  }
+
+  /**
+   * Revoke every access token, refresh token and session of an account
+   * @param {number} accountId - User account ID
+   * @returns {Promise<void>}
+   */
+  async revokeAllTokens(accountId) {
+    const pool = databaseService.getPool();
+    const client = await pool.connect();
+
+    try {
+      await client.query("begin");
+      await this.revokeAccountTokens(client, accountId);
+      await client.query("commit");
+    } catch (error) {
+      await client.query("rollback");
+      throw new Error("database error revoking tokens");
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Check whether a decoded access token has been revoked, either directly,
+   * through logout-all, because its session was revoked, or because the
+   * account has been deactivated or deleted
+   * @param {Object} decoded - Verified JWT payload
+   * @returns {Promise<boolean>} Whether the token is revoked
+   */
+  async isTokenRevoked(decoded) {
+    const pool = databaseService.getPool();
+    const client = await pool.connect();
+
+    try {
+      // iat has whole seconds, so a token issued later in the second of a
+      // logout-all (e.g. the login right after it) must not count as revoked;
+      // tokens from earlier in that second are caught by their revoked session
+      const query = `
+        select
+          exists(select 1 from revoked_tokens where jti = $1) as jti_revoked,
+          not exists(
+            select 1 from accounts
+            where accountid = $2 and is_active is not false
+            and (tokens_revoked_before is null
+              or date_trunc('second', tokens_revoked_before) <= to_timestamp($3))
+          ) as account_revoked,
+          exists(
+            select 1 from sessions
+            where sessionid = $4 and revoked_at is not null
+          ) as session_revoked
+      `;
+      const result = await client.query(query, [
+        decoded.jti || null,
+        decoded.accountId,
+        decoded.iat,
+        decoded.sid || null,
+      ]);
+      const row = result.rows[0];
+
+      return row.jti_revoked || row.account_revoked || row.session_revoked;
+    } catch (error) {
+      throw new Error("database error checking token revocation");
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Delete revocation entries for tokens that have expired anyway
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async pruneRevokedTokens() {
+    const pool = databaseService.getPool();
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(
+        "delete from revoked_tokens where expires_at < now()"
+      );
+      return result.rowCount;
+    } catch (error) {
+      throw new Error("database error pruning revoked tokens");
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Start periodic pruning of expired revocation entries
+   */
+  startRevocationCleanup() {
+    if (this.revocationCleanupInterval) {
+      return;
+    }
+
+    this.revocationCleanupInterval = setInterval(async () => {
+      try {
+        const removed = await this.pruneRevokedTokens();
+        if (removed > 0) {
+          console.log(`🧹 pruned ${removed} expired revoked tokens`);
+        }
+      } catch (error) {
+        console.error("error pruning revoked tokens:", error);
+      }
+    }, this.revocationCleanupIntervalMs);
+
+    // don't keep the process alive just for cleanup
+    this.revocationCleanupInterval.unref();
+  }
+
+  /**
+   * Stop periodic pruning of expired revocation entries
+   */
+  stopRevocationCleanup() {
+    if (this.revocationCleanupInterval) {
+      clearInterval(this.revocationCleanupInterval);
+      this.revocationCleanupInterval = null;
+    }
+  }
+
   /**
    * Check if user can request a new login code (rate limiting)
    * @param {string} email - User email address
@@ -112,21 +562,44 @@ class AuthService {
   }
 
   /**
-   * Store login attempt in database
+   * Store login attempt in database, queueing the email that delivers the
+   * code in the same transaction
    * @param {string} email - User email address
    * @param {string} code - Generated login code
-   * @returns {Promise<number>} Login attempt ID
+   * @param {string|null} linkToken - Generated login link token, if a link is sent
+   * @param {Object|null} message - Rendered email (subject, html, text) to queue
+   * @returns {Promise<Object>} { attemptId, messageId } (messageId is the outbox ID)
    */
-  async storeLoginAttempt(email, code) {
+  async storeLoginAttempt(email, code, linkToken = null, message = null) {
     const pool = databaseService.getPool();
     const client = await pool.connect();
 
     try {
+      await client.query("begin");
+
       const query =
-        "insert into login_attempts (email, code) values ($1, $2) returning attemptid";
-      const result = await client.query(query, [email, code]);
-      return result.rows[0].attemptid;
+        "insert into login_attempts (email, code_hash, link_token_hash) values ($1, $2, $3) returning attemptid";
+      const result = await client.query(query, [
+        email,
+        this.hashLoginCode(code),
+        linkToken ? this.hashToken(linkToken) : null,
+      ]);
+
+      const messageId = message
+        ? await emailOutboxService.enqueue(client, {
+            ...message,
+            to: email,
+            template: "login_code",
+            expiresAt: new Date(
+              Date.now() + this.loginCodeExpiryMinutes * 60 * 1000
+            ),
+          })
+        : null;
+
+      await client.query("commit");
+      return { attemptId: result.rows[0].attemptid, messageId };
     } catch (error) {
+      await client.query("rollback");
       throw new Error("database error storing login attempt");
     } finally {
       client.release();
@@ -137,9 +610,10 @@ class AuthService {
    * Verify login code and mark as used
    * @param {string} email - User email address
    * @param {string} code - Login code to verify
+   * @param {Object} [context] - Client details (ipAddress, userAgent) for the audit trail
    * @returns {Promise<Object|null>} Login attempt object or null if invalid
    */
-  async verifyLoginCode(email, code) {
+  async verifyLoginCode(email, code, context = {}) {
     const pool = databaseService.getPool();
     const client = await pool.connect();
 
@@ -156,14 +630,22 @@ class AuthService {
 
       const result = await client.query(query, [email]);
 
+      // demo accounts are never emailed a code; their fixed code stands in
+      const demoCodeHash = demoAccountService.getCodeHash(email);
+      if (demoCodeHash) {
+        result.rows.push({ email: email, code_hash: demoCodeHash, demo: true });
+      }
+
       let matchedAttempt = null;
+      const codeHash = Buffer.from(this.hashLoginCode(code), "hex");
 
       // Use constant-time comparison to prevent timing attacks
       for (const attempt of result.rows) {
         if (
+          attempt.code_hash &&
           crypto.timingSafeEqual(
-            Buffer.from(attempt.code, "utf8"),
-            Buffer.from(code, "utf8")
+            Buffer.from(attempt.code_hash, "hex"),
+            codeHash
           )
         ) {
           matchedAttempt = attempt;
@@ -172,15 +654,23 @@ class AuthService {
       }
 
       if (!matchedAttempt) {
+        await this.recordFailedLoginCode(client, email, context);
         await client.query("commit");
         return null;
       }
 
-      // mark attempt as used
-      await client.query(
-        "update login_attempts set is_used = true where attemptid = $1",
-        [matchedAttempt.attemptid]
-      );
+      // mark attempt as used (the demo code stays valid)
+      if (!matchedAttempt.demo) {
+        await client.query(
+          "update login_attempts set is_used = true where attemptid = $1",
+          [matchedAttempt.attemptid]
+        );
+      }
+
+      // a successful login clears the backoff for this email
+      await client.query("delete from login_lockouts where email = $1", [
+        email,
+      ]);
 
       await client.query("commit");
       return matchedAttempt;
@@ -192,6 +682,132 @@ class AuthService {
     }
   }
 
+  /**
+   * Record a wrong login-code guess (for use inside verifyLoginCode's transaction).
+   * Every active code for the email counts the guess and is burned once it
+   * reaches maxCodeGuesses; the email's backoff grows exponentially after
+   * loginBackoffThreshold consecutive failures.
+   * @param {Object} client - PostgreSQL client
+   * @param {string} email - User email address
+   * @param {Object} [context] - Client details (ipAddress, userAgent) for the audit trail
+   * @returns {Promise<void>}
+   */
+  async recordFailedLoginCode(client, email, context = {}) {
+    await client.query(
+      `update login_attempts
+       set failed_attempts = failed_attempts + 1,
+           is_used = (failed_attempts + 1 >= $2)
+       where email = $1 and is_used = false
+       and created_at > now() - interval '${this.loginCodeExpiryMinutes} minutes'`,
+      [email, this.maxCodeGuesses]
+    );
+
+    const result = await client.query(
+      `insert into login_lockouts (email, failed_count, last_failed_at)
+       values ($1, 1, now())
+       on conflict (email) do update set
+         failed_count = case
+           when login_lockouts.last_failed_at < now() - interval '${this.loginFailureWindowMinutes} minutes' then 1
+           else login_lockouts.failed_count + 1
+         end,
+         last_failed_at = now()
+       returning failed_count`,
+      [email]
+    );
+
+    const failedCount = result.rows[0].failed_count;
+    if (failedCount < this.loginBackoffThreshold) {
+      return;
+    }
+
+    const lockSeconds = Math.min(
+      this.loginBackoffBaseSeconds *
+        2 ** (failedCount - this.loginBackoffThreshold),
+      this.loginBackoffMaxSeconds
+    );
+
+    await client.query(
+      `update login_lockouts set locked_until = now() + interval '${lockSeconds} seconds'
+       where email = $1`,
+      [email]
+    );
+
+    await securityEventService.recordEvent(client, {
+      type: "lockout_triggered",
+      outcome: "blocked",
+      email: email,
+      ipAddress: context.ipAddress,
+      userAgent: context.userAgent,
+      details: { failedCount: failedCount, lockSeconds: lockSeconds },
+    });
+  }
+
+  /**
+   * Get the remaining backoff for an email after failed login codes
+   * @param {string} email - User email address
+   * @returns {Promise<Object|null>} Seconds and time until retry, or null if not locked
+   */
+  async getLoginBackoff(email) {
+    const pool = databaseService.getPool();
+    const client = await pool.connect();
+
+    try {
+      // compare against the database clock, which set locked_until
+      const query = `
+        select locked_until, now() as db_now
+        from login_lockouts
+        where email = $1 and locked_until > now()
+      `;
+      const result = await client.query(query, [email]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      const { locked_until, db_now } = result.rows[0];
+      const retryAfter = Math.max(
+        Math.ceil((new Date(locked_until) - new Date(db_now)) / 1000),
+        1
+      );
+      return {
+        retryAfter: retryAfter,
+        retryAt: new Date(Date.now() + retryAfter * 1000),
+      };
+    } catch (error) {
+      throw new Error("database error checking login backoff");
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Verify login link token and mark its attempt as used
+   * @param {string} linkToken - Link token from the magic link
+   * @returns {Promise<Object|null>} Login attempt object or null if invalid
+   */
+  async verifyLoginLink(linkToken) {
+    const pool = databaseService.getPool();
+    const client = await pool.connect();
+
+    try {
+      // single statement, so the link can't be consumed twice concurrently;
+      // same expiry window as codes
+      const query = `
+        update login_attempts set is_used = true
+        where link_token_hash = $1 and is_used = false
+        and created_at > now() - interval '${this.loginCodeExpiryMinutes} minutes'
+        returning *
+      `;
+
+      const result = await client.query(query, [this.hashToken(linkToken)]);
+      return result.rows.length > 0 ? result.rows[0] : null;
+    } catch (error) {
+      throw new Error("database error verifying login link");
+    } finally {
+      client.release();
+    }
+  }
+
   /**
    * Find user account by email
    * @param {string} email - User email address
@@ -213,10 +829,20 @@ class AuthService {
     }
   }
 
+  /**
+   * Check whether an email may log in (unknown emails may, to sign up)
+   * @param {string} email - User email address
+   * @returns {Promise<boolean>} False if the account exists and is deactivated
+   */
+  async isAccountActive(email) {
+    const account = await this.findAccountByEmail(email);
+    return !account || account.is_active !== false;
+  }
+
   /**
    * Create new user account
    * @param {string} email - User email address
-   * @returns {Promise<number>} New account ID
+   * @returns {Promise<Object>} New account
    */
   async createAccount(email) {
     const pool = databaseService.getPool();
@@ -224,13 +850,14 @@ class AuthService {
 
     try {
       const query = `
-        insert into accounts (email, last_login_at) 
-        values ($1, now()) 
-        returning accountid
+        insert into accounts (email, last_login_at, role) 
+        values ($1, now(), $2) 
+        returning *
       `;
 
-      const result = await client.query(query, [email]);
-      return result.rows[0].accountid;
+      const role = config.adminEmails.includes(email) ? "admin" : "user";
+      const result = await client.query(query, [email, role]);
+      return result.rows[0];
     } catch (error) {
       throw new Error("database error creating account");
     } finally {
@@ -238,6 +865,32 @@ class AuthService {
     }
   }
 
+  /**
+   * Grant the admin role to accounts listed in ADMIN_EMAILS
+   * @returns {Promise<number>} Number of accounts promoted
+   */
+  async grantConfiguredAdmins() {
+    if (config.adminEmails.length === 0) {
+      return 0;
+    }
+
+    const pool = databaseService.getPool();
+    const client = await pool.connect();
+
+    try {
+      const query = `
+        update accounts set role = 'admin'
+        where email = any($1) and role <> 'admin'
+      `;
+      const result = await client.query(query, [config.adminEmails]);
+      return result.rowCount;
+    } catch (error) {
+      throw new Error("database error granting admin role");
+    } finally {
+      client.release();
+    }
+  }
+
   /**
    * Update user's last login time
    * @param {number} accountId - User account ID
@@ -260,35 +913,63 @@ class AuthService {
   }
 
   /**
-   * Complete login process - find or create account and generate token
+   * Complete login process - find or create account, start a session and generate tokens
    * @param {string} email - User email address
+   * @param {Object} context - Device details for the session (deviceName, userAgent, ipAddress)
    * @returns {Promise<Object>} Login result with token and account info
    */
-  async completeLogin(email) {
+  async completeLogin(email, context = {}) {
+    let account;
     try {
-      let account = await this.findAccountByEmail(email);
-      let accountId;
+      account =
+        (await this.findAccountByEmail(email)) ||
+        (await this.createAccount(email));
+    } catch (error) {
+      throw new Error(`login completion failed: ${error.message}`);
+    }
 
-      if (account) {
-        accountId = account.accountid;
-      } else {
-        accountId = await this.createAccount(email);
+    return this.completeLoginForAccount(account, context);
+  }
+
+  /**
+   * Complete login for a known account - start a session and generate tokens
+   * @param {Object} account - Account row
+   * @param {Object} context - Device details for the session (deviceName, userAgent, ipAddress)
+   * @returns {Promise<Object>} Login result with token and account info
+   */
+  async completeLoginForAccount(account, context = {}) {
+    try {
+      if (account.is_active === false) {
+        throw new Error("account is deactivated");
       }
 
+      const accountId = account.accountid;
+      const email = account.email;
+
       // update last login
       await this.updateLastLogin(accountId);
 
-      // generate JWT token
-      const token = this.generateJWT(accountId, email);
-      const expiresAt = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000); // 30 days
+      // start a session for this device
+      const sessionId = await sessionService.createSession(accountId, context);
+
+      // generate short-lived access token and a refresh token
+      const { token, expiresAt } = this.issueAccessToken(accountId, email, {
+        sessionId: sessionId,
+        role: account.role,
+      });
+      const refresh = await this.issueRefreshToken(accountId, sessionId);
 
       return {
         success: true,
         token: token,
         expiresAt: expiresAt.toISOString(),
+        refreshToken: refresh.refreshToken,
+        refreshTokenExpiresAt: refresh.expiresAt.toISOString(),
+        sessionId: sessionId,
         account: {
           accountId: accountId,
           email: email,
+          role: account.role,
         },
       };
     } catch (error) {
@@ -0,0 +1,84 @@
+/**
+ * Demo Account Service
+ * Configured demo accounts (e.g. for App Store review) that sign in with a
+ * fixed code instead of an emailed one and only get read-only access
+ */
+
+import config from "../config/environment.js";
+
+// access token scope given to demo accounts
+export const DEMO_SCOPE = "demo";
+
+class DemoAccountService {
+  constructor() {
+    this.codeHashes = this.parseAccounts(config.demoAccounts);
+    this.allowedEnvironments = config.demoAccountEnvironments;
+  }
+
+  /**
+   * Parse DEMO_ACCOUNTS entries ("email:codeHash")
+   * @param {Array<string>} entries - Configured entries
+   * @returns {Map<string, string>} Email -> code hash
+   * @throws {Error} If an entry is malformed
+   */
+  parseAccounts(entries) {
+    const codeHashes = new Map();
+
+    for (const entry of entries) {
+      const separator = entry.lastIndexOf(":");
+      const email = entry.slice(0, separator).trim().toLowerCase();
+      const codeHash = entry
+        .slice(separator + 1)
+        .trim()
+        .toLowerCase();
+
+      if (separator === -1 || !email.includes("@")) {
+        throw new Error(`demo account entry '${entry}' must be email:codeHash`);
+      }
+      if (!/^[0-9a-f]{64}$/.test(codeHash)) {
+        throw new Error(
+          `demo account '${email}' needs a 64-character hex code hash`
+        );
+      }
+      codeHashes.set(email, codeHash);
+    }
+
+    return codeHashes;
+  }
+
+  /**
+   * Check whether demo accounts may sign in in the current environment
+   * @returns {boolean} Whether demo logins are allowed
+   */
+  isEnabled() {
+    return (
+      this.codeHashes.size > 0 &&
+      this.allowedEnvironments.includes(config.nodeEnv)
+    );
+  }
+
+  /**
+   * Check whether an email belongs to a configured demo account. Demo accounts
+   * stay read-only even where demo logins are disabled.
+   * @param {string} email - Normalized email address
+   * @returns {boolean} Whether the email is a demo account
+   */
+  isDemoAccount(email) {
+    return this.codeHashes.has(email);
+  }
+
+  /**
+   * Get the configured hash of a demo account's fixed login code
+   * @param {string} email - Normalized email address
+   * @returns {string|null} Code hash, or null if demo logins are disabled or
+   *   the email isn't a demo account
+   */
+  getCodeHash(email) {
+    return this.isEnabled() ? this.codeHashes.get(email) || null : null;
+  }
+}
+
+// create singleton instance
+const demoAccountService = new DemoAccountService();
+
+export default demoAccountService;
@@ -0,0 +1,145 @@
+/**
+ * Email Domain Service
+ * Decides which email domains may sign up or log in: configured allow and
+ * deny lists, a disposable-provider list and the restricted sign-up mode
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import config from "../config/environment.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// messages shown to the user for each reason an email is refused
+const BLOCK_MESSAGES = {
+  denied: "Email addresses on this domain are not allowed",
+  disposable: "Disposable email addresses are not allowed",
+  signup_restricted:
+    "New accounts are limited to approved email domains. Please use your school or organization email.",
+};
+
+class EmailDomainService {
+  constructor() {
+    this.allowlist = new Set(config.emailDomainAllowlist);
+    this.denylist = new Set(config.emailDomainDenylist);
+    this.blockDisposable = config.blockDisposableEmails;
+    this.restrictedSignup = config.restrictedSignup;
+    this.disposableFile =
+      config.disposableDomainsFile ||
+      path.join(__dirname, "../data/disposable-email-domains.txt");
+    this.reloadCheckMs = 60 * 1000; // check the list file for changes at most once a minute
+    this.disposableDomains = null; // Set of domains
+    this.disposableMtimeMs = 0;
+    this.disposableCheckedAt = 0;
+  }
+
+  /**
+   * Get the lowercase domain of an email address
+   * @param {string} email - Email address
+   * @returns {string} Domain
+   */
+  getDomain(email) {
+    return email.slice(email.lastIndexOf("@") + 1).toLowerCase();
+  }
+
+  /**
+   * Check a domain, or any parent domain, against a set of domains
+   * (so "example.com" also covers "mail.example.com")
+   * @param {string} domain - Domain to check
+   * @param {Set<string>} domains - Domains to match against
+   * @returns {boolean} Whether the domain is covered
+   */
+  matchesDomain(domain, domains) {
+    const labels = domain.split(".");
+    for (let i = 0; i < labels.length - 1; i++) {
+      if (domains.has(labels.slice(i).join("."))) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Read the disposable domain list (one domain per line, # for comments)
+   * @returns {Promise<void>}
+   */
+  async loadDisposableDomains() {
+    let stat;
+    let contents;
+    try {
+      stat = await fs.promises.stat(this.disposableFile);
+      contents = await fs.promises.readFile(this.disposableFile, "utf8");
+    } catch (error) {
+      throw new Error(
+        `failed to read disposable domain list: ${error.message}`
+      );
+    }
+
+    this.disposableDomains = new Set(
+      contents
+        .split("\n")
+        .map((line) => line.replace(/#.*/, "").trim().toLowerCase())
+        .filter(Boolean)
+    );
+    this.disposableMtimeMs = stat.mtimeMs;
+    this.disposableCheckedAt = Date.now();
+  }
+
+  /**
+   * Get the disposable domain list, reloading it when the file has changed
+   * @returns {Promise<Set<string>>} Disposable domains
+   */
+  async getDisposableDomains() {
+    if (!this.disposableDomains) {
+      await this.loadDisposableDomains();
+    } else if (Date.now() - this.disposableCheckedAt > this.reloadCheckMs) {
+      this.disposableCheckedAt = Date.now();
+      try {
+        const stat = await fs.promises.stat(this.disposableFile);
+        if (stat.mtimeMs !== this.disposableMtimeMs) {
+          await this.loadDisposableDomains();
+        }
+      } catch (error) {
+        // keep using the last good list
+        console.error("error reloading disposable domain list:", error);
+      }
+    }
+
+    return this.disposableDomains;
+  }
+
+  /**
+   * Check whether an email may be used. The deny list always applies; an
+   * allow-listed domain skips the other checks. Disposable domains and
+   * restricted sign-up only refuse addresses that would start a new account.
+   * @param {string} email - Normalized email address
+   * @param {Object} options - Check options
+   * @param {boolean} options.newAccount - Whether the email has no account yet
+   * @returns {Promise<Object|null>} { reason, message } if refused, or null
+   */
+  async checkEmail(email, { newAccount }) {
+    const domain = this.getDomain(email);
+    let reason = null;
+
+    if (this.matchesDomain(domain, this.denylist)) {
+      reason = "denied";
+    } else if (this.matchesDomain(domain, this.allowlist) || !newAccount) {
+      reason = null;
+    } else if (this.restrictedSignup) {
+      reason = "signup_restricted";
+    } else if (
+      this.blockDisposable &&
+      this.matchesDomain(domain, await this.getDisposableDomains())
+    ) {
+      reason = "disposable";
+    }
+
+    return reason ? { reason, message: BLOCK_MESSAGES[reason] } : null;
+  }
+}
+
+// create singleton instance
+const emailDomainService = new EmailDomainService();
+
+export default emailDomainService;
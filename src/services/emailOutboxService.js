@@ -0,0 +1,355 @@
+/**
+ * Email Outbox Service
+ * Stores outgoing emails in the database and delivers them from an
+ * in-process worker, retrying with exponential backoff
+ */
+
+import config from "../config/environment.js";
+import databaseService from "./databaseService.js";
+import emailService from "./emailService.js";
+import { EmailSuppressedError } from "../middlewares/errorHandler.js";
+import { decryptText, deriveKey, encryptText } from "../utils/encryption.js";
+
+// columns recording each outcome the provider reports after sending
+const OUTCOME_COLUMNS = {
+  delivered: "delivered_at",
+  bounced: "bounced_at",
+  complained: "complained_at",
+};
+
+class EmailOutboxService {
+  constructor() {
+    this.maxAttempts = config.emailMaxAttempts;
+    this.retryBaseSeconds = 30;
+    this.retryMaxSeconds = 30 * 60; // 30 minutes
+    this.claimTimeoutMinutes = 5; // a claimed message whose sender died is retried after this
+    this.batchSize = 20;
+    this.pollIntervalMs = 10 * 1000; // 10 seconds
+    this.defaultListLimit = 50;
+    this.maxListLimit = 100;
+    this.pollInterval = null;
+    this.processing = null; // promise of the running delivery pass
+    this.rerunRequested = false;
+    this.stopped = false; // set on shutdown, so no pass uses the closing pool
+    this.encryptionKey = deriveKey(config.emailOutboxSecret);
+  }
+
+  /**
+   * Queue an email using an existing client, so it commits or rolls back
+   * with the caller's transaction. Bodies are stored encrypted, since login
+   * emails carry the plaintext code and link token.
+   * @param {Object} client - PostgreSQL client
+   * @param {Object} message - Message to queue
+   * @param {string} message.to - Recipient email address
+   * @param {string} message.template - Template name, for investigation
+   * @param {string} message.subject - Subject line
+   * @param {string} message.html - HTML body
+   * @param {string} message.text - Plain text body
+   * @param {Date} [message.expiresAt] - Give up delivering after this time
+   * @returns {Promise<number>} Outbox message ID
+   */
+  async enqueue(client, message) {
+    const { to, template, subject, html, text, expiresAt = null } = message;
+
+    const result = await client.query(
+      `insert into email_outbox
+         (to_email, template, subject, html_body, text_body, expires_at)
+       values ($1, $2, $3, $4, $5, $6)
+       returning messageid`,
+      [
+        to,
+        template,
+        subject,
+        encryptText(this.encryptionKey, html),
+        encryptText(this.encryptionKey, text),
+        expiresAt,
+      ]
+    );
+    return result.rows[0].messageid;
+  }
+
+  /**
+   * Deliver due messages now. Concurrent calls share one pass, with another
+   * pass afterwards to pick up messages queued in the meantime.
+   * @returns {Promise<number>} Number of messages sent
+   */
+  processOutbox() {
+    if (this.processing) {
+      this.rerunRequested = true;
+      return this.processing;
+    }
+
+    if (this.stopped) {
+      return Promise.resolve(0);
+    }
+
+    this.processing = (async () => {
+      let sent = 0;
+      do {
+        this.rerunRequested = false;
+        sent += await this.processBatch();
+      } while (this.rerunRequested && !this.stopped);
+      return sent;
+    })().finally(() => {
+      this.processing = null;
+    });
+
+    return this.processing;
+  }
+
+  /**
+   * Start delivering queued messages in the background without waiting
+   */
+  processSoon() {
+    this.processOutbox().catch((error) => {
+      console.error("error processing email outbox:", error);
+    });
+  }
+
+  /**
+   * Claim and deliver one batch of due messages
+   * @returns {Promise<number>} Number of messages sent
+   */
+  async processBatch() {
+    const pool = databaseService.getPool();
+    const client = await pool.connect();
+
+    try {
+      // a login code email is useless once the code has expired
+      await client.query(
+        `update email_outbox
+         set status = 'failed', last_error = 'expired before delivery',
+             html_body = null, text_body = null, claimed_at = null
+         where status in ('pending', 'sending')
+         and expires_at is not null and expires_at <= now()`
+      );
+
+      const staleClaim = `status = 'sending' and claimed_at < now() - interval '${this.claimTimeoutMinutes} minutes'`;
+      const due = await client.query(
+        `select messageid from email_outbox
+         where (status = 'pending' and next_attempt_at <= now()) or (${staleClaim})
+         order by next_attempt_at, messageid
+         limit ${this.batchSize}`
+      );
+
+      let sent = 0;
+      for (const { messageid } of due.rows) {
+        // the conditional update makes sure only one worker sends a message
+        const claimed = await client.query(
+          `update email_outbox
+           set status = 'sending', claimed_at = now(), last_attempt_at = now(),
+               attempts = attempts + 1
+           where messageid = $1
+           and ((status = 'pending' and next_attempt_at <= now()) or (${staleClaim}))
+           returning *`,
+          [messageid]
+        );
+
+        if (
+          claimed.rows.length > 0 &&
+          (await this.deliver(client, claimed.rows[0]))
+        ) {
+          sent++;
+        }
+      }
+
+      return sent;
+    } catch (error) {
+      throw new Error(
+        `database error processing email outbox: ${error.message}`
+      );
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Send a claimed message and record the outcome: sent, retry later, or
+   * failed once maxAttempts is reached
+   * @param {Object} client - PostgreSQL client
+   * @param {Object} message - Claimed email_outbox row
+   * @returns {Promise<boolean>} Whether the message was sent
+   */
+  async deliver(client, message) {
+    let html;
+    let text;
+    try {
+      html = decryptText(this.encryptionKey, message.html_body);
+      text = decryptText(this.encryptionKey, message.text_body);
+    } catch (error) {
+      // retrying can't help if the key changed or the body was tampered with
+      console.error(
+        `❌ Email ${message.messageid} to ${message.to_email} could not be decrypted`
+      );
+      await client.query(
+        `update email_outbox
+         set status = 'failed', last_error = 'body could not be decrypted',
+             claimed_at = null, html_body = null, text_body = null
+         where messageid = $1`,
+        [message.messageid]
+      );
+      return false;
+    }
+
+    let result;
+    let sendError = null;
+    try {
+      result = await emailService.sendEmail(message.to_email, {
+        subject: message.subject,
+        html,
+        text,
+      });
+    } catch (error) {
+      sendError = error;
+    }
+
+    if (!sendError) {
+      await client.query(
+        `update email_outbox
+         set status = 'sent', provider_message_id = $2, sent_at = now(),
+             claimed_at = null, last_error = null,
+             html_body = null, text_body = null
+         where messageid = $1`,
+        [message.messageid, result.messageId || null]
+      );
+      return true;
+    }
+
+    // retrying can't help once the address is suppressed
+    if (
+      message.attempts >= this.maxAttempts ||
+      sendError instanceof EmailSuppressedError
+    ) {
+      console.error(
+        `❌ Email ${message.messageid} to ${message.to_email} failed after ${message.attempts} attempts: ${sendError.message}`
+      );
+      await client.query(
+        `update email_outbox
+         set status = 'failed', last_error = $2, claimed_at = null,
+             html_body = null, text_body = null
+         where messageid = $1`,
+        [message.messageid, sendError.message]
+      );
+      return false;
+    }
+
+    const retrySeconds = Math.min(
+      this.retryBaseSeconds * 2 ** (message.attempts - 1),
+      this.retryMaxSeconds
+    );
+    console.warn(
+      `⚠️ Email ${message.messageid} to ${message.to_email} failed (attempt ${message.attempts}), retrying in ${retrySeconds}s: ${sendError.message}`
+    );
+    await client.query(
+      `update email_outbox
+       set status = 'pending', last_error = $2, claimed_at = null,
+           next_attempt_at = now() + interval '${retrySeconds} seconds'
+       where messageid = $1`,
+      [message.messageid, sendError.message]
+    );
+    return false;
+  }
+
+  /**
+   * Record an outcome the provider reported for a sent message
+   * @param {string|null} providerMessageId - Provider's message ID
+   * @param {string} outcome - delivered, bounced or complained
+   * @returns {Promise<boolean>} Whether a matching message was found
+   */
+  async recordOutcome(providerMessageId, outcome) {
+    const column = OUTCOME_COLUMNS[outcome];
+    if (!column) {
+      throw new Error(`invalid email outcome ${outcome}`);
+    }
+    if (!providerMessageId) {
+      return false;
+    }
+
+    const pool = databaseService.getPool();
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(
+        `update email_outbox set ${column} = now()
+         where provider_message_id = $1`,
+        [providerMessageId]
+      );
+      return result.rowCount > 0;
+    } catch (error) {
+      throw new Error("database error recording email outcome");
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * List messages that could not be delivered, most recent first
+   * @param {number} [limit] - Maximum number of messages (capped at maxListLimit)
+   * @returns {Promise<Array>} Failed email_outbox rows, without bodies
+   */
+  async listFailed(limit = this.defaultListLimit) {
+    const pool = databaseService.getPool();
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(
+        `select messageid, to_email, template, subject, attempts, last_error,
+                created_at, last_attempt_at
+         from email_outbox
+         where status = 'failed'
+         order by messageid desc
+         limit $1`,
+        [Math.min(Math.max(limit, 1), this.maxListLimit)]
+      );
+      return result.rows;
+    } catch (error) {
+      throw new Error("database error listing failed emails");
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Start polling the outbox for due messages
+   */
+  startWorker() {
+    if (this.pollInterval) {
+      return;
+    }
+
+    this.stopped = false;
+
+    this.pollInterval = setInterval(
+      () => this.processSoon(),
+      this.pollIntervalMs
+    );
+
+    // don't keep the process alive just for the outbox
+    this.pollInterval.unref();
+  }
+
+  /**
+   * Stop polling the outbox and wait for the delivery pass in progress, so
+   * no message is left claimed when the pool closes
+   * @returns {Promise<void>}
+   */
+  async stopWorker() {
+    this.stopped = true;
+
+    if (this.pollInterval) {
+      clearInterval(this.pollInterval);
+      this.pollInterval = null;
+    }
+
+    if (this.processing) {
+      await this.processing.catch((error) => {
+        console.error("error processing email outbox:", error);
+      });
+    }
+  }
+}
+
+// create singleton instance
+const emailOutboxService = new EmailOutboxService();
+
+export default emailOutboxService;
@@ -1,93 +1,272 @@
 /**
  * Email Service
- * Handles email sending via Resend API with proper error handling and templates
+ * Builds the app's emails and sends them through the configured transport
  */
 
-import { Resend } from "resend";
 import config from "../config/environment.js";
+import {
+  createResendTransport,
+  createSmtpTransport,
+  createConsoleTransport,
+  createFileTransport,
+} from "./emailTransports.js";
+import { EMAIL_LOCALES, DEFAULT_EMAIL_LOCALE } from "../locales/email/index.js";
+import emailSuppressionService from "./emailSuppressionService.js";
+import { EmailSuppressedError } from "../middlewares/errorHandler.js";
 
 class EmailService {
   constructor() {
-    this.resend = null;
-    this.fromEmail = "clue@glovee.io"; // Your verified domain
+    this.transportName = config.emailTransport;
+    this.transport = null;
+    this.fromEmail = config.emailFrom;
   }
 
   /**
-   * Initialize Resend client (lazy loading)
+   * Get the configured transport (created on first use)
+   * @returns {Object} Transport (see emailTransports.js)
+   * @throws {Error} If the transport is unknown or missing its settings
    */
-  getResendClient() {
-    if (!this.resend) {
-      if (!config.resendApiKey) {
-        throw new Error("Resend API key not configured");
-      }
-      this.resend = new Resend(config.resendApiKey);
+  getTransport() {
+    if (!this.transport) {
+      this.transport = this.createTransport(this.transportName);
+    }
+    return this.transport;
+  }
+
+  /**
+   * Create a transport by name from the configuration
+   * @param {string} name - resend, smtp, console or file
+   * @returns {Object} Transport
+   */
+  createTransport(name) {
+    switch (name) {
+      case "resend":
+        if (!config.resendApiKey) {
+          throw new Error("missing RESEND_API_KEY");
+        }
+        return createResendTransport(config.resendApiKey);
+      case "smtp":
+        if (!config.smtpUrl) {
+          throw new Error("missing SMTP_URL");
+        }
+        return createSmtpTransport(config.smtpUrl);
+      case "console":
+        return createConsoleTransport();
+      case "file":
+        return createFileTransport(config.emailFileDirectory);
+      default:
+        throw new Error(`unknown email transport '${name}'`);
     }
-    return this.resend;
+  }
+
+  /**
+   * Replace the transport (e.g. with a stub in tests)
+   * @param {Object} transport - Transport with name and send(message)
+   */
+  setTransport(transport) {
+    this.transport = transport;
+    this.transportName = transport.name;
   }
 
   /**
    * Validate email service configuration
+   * @returns {boolean} Whether the transport has the settings it needs
    */
   isConfigured() {
-    return !!config.resendApiKey;
+    try {
+      this.getTransport();
+      return true;
+    } catch (error) {
+      return false;
+    }
   }
 
   /**
-   * Send login code email
+   * Send an email through the configured transport
    * @param {string} toEmail - Recipient email address
-   * @param {string} loginCode - 6-digit login code
+   * @param {Object} message - Message content
+   * @param {string} message.subject - Subject line
+   * @param {string} message.html - HTML body
+   * @param {string} message.text - Plain text body
    * @returns {Promise<Object>} Email send result
+   * @throws {EmailSuppressedError} If the address is on the suppression list
    */
-  async sendLoginCode(toEmail, loginCode) {
+  async sendEmail(toEmail, { subject, html, text }) {
+    let transport;
     try {
-      if (!this.isConfigured()) {
-        throw new Error(
-          "Email service not configured - missing RESEND_API_KEY"
-        );
+      transport = this.getTransport();
+    } catch (error) {
+      throw new Error(`Email service not configured - ${error.message}`);
+    }
+
+    const suppressed = await emailSuppressionService.checkEmail(toEmail);
+    if (suppressed) {
+      throw new EmailSuppressedError(suppressed.message, suppressed.reason);
+    }
+
+    const result = await transport.send({
+      from: this.fromEmail,
+      to: toEmail,
+      subject,
+      html,
+      text,
+    });
+
+    return {
+      success: true,
+      messageId: result.messageId,
+    };
+  }
+
+  /**
+   * Get the locales emails can be written in
+   * @returns {Array<string>} Locale codes
+   */
+  getSupportedLocales() {
+    return Object.keys(EMAIL_LOCALES);
+  }
+
+  /**
+   * Pick the first candidate locale emails can be written in. Regional
+   * variants match their language (e.g. "fr-CA" -> "fr").
+   * @param {Array<string|null|false>} candidates - Locales in order of preference
+   * @returns {string} Supported locale, or the default locale
+   */
+  resolveLocale(candidates) {
+    for (const candidate of candidates) {
+      if (typeof candidate !== "string") {
+        continue;
       }
 
-      const result = await this.getResendClient().emails.send({
-        from: this.fromEmail,
-        to: [toEmail],
-        subject: "Your Chatterbox login code",
-        html: this.generateLoginCodeHTML(loginCode),
-        text: this.generateLoginCodeText(loginCode),
+      const language = candidate.split("-")[0].toLowerCase();
+      if (Object.hasOwn(EMAIL_LOCALES, language)) {
+        return language;
+      }
+    }
+    return DEFAULT_EMAIL_LOCALE;
+  }
+
+  /**
+   * Get an email's strings in a locale, with English for any missing string
+   * @param {string} locale - Locale code
+   * @param {string} template - Template name (e.g. "loginCode")
+   * @returns {Object} Strings for the template
+   */
+  getStrings(locale, template) {
+    return {
+      ...EMAIL_LOCALES[DEFAULT_EMAIL_LOCALE][template],
+      ...EMAIL_LOCALES[locale]?.[template],
+    };
+  }
+
+  /**
+   * Render the login code email, ready to be queued
+   * @param {string} loginCode - 6-digit login code
+   * @param {string|null} loginLink - One-time login link, if enabled
+   * @param {string} [locale] - Locale to write the email in
+   * @returns {Object} { subject, html, text }
+   */
+  renderLoginCode(loginCode, loginLink = null, locale = DEFAULT_EMAIL_LOCALE) {
+    const strings = this.getStrings(locale, "loginCode");
+
+    return {
+      subject: strings.subject,
+      html: this.generateLoginCodeHTML(loginCode, loginLink, strings, locale),
+      text: this.generateLoginCodeText(loginCode, loginLink, strings),
+    };
+  }
+
+  /**
+   * Send the code confirming an email change to the new address
+   * @param {string} toEmail - New email address
+   * @param {string} code - 6-digit confirmation code
+   * @returns {Promise<Object>} Email send result
+   */
+  async sendEmailChangeCode(toEmail, code) {
+    try {
+      return await this.sendEmail(toEmail, {
+        subject: "Confirm your new Chatterbox email",
+        html: this.generateEmailChangeCodeHTML(code),
+        text: this.generateEmailChangeCodeText(code),
       });
+    } catch (error) {
+      console.error("❌ Error sending email change code:", error);
+      throw new Error(`Failed to send email change code: ${error.message}`);
+    }
+  }
 
-      return {
-        success: true,
-        messageId: result.data?.id,
-        error: result.error || null,
-      };
+  /**
+   * Tell the current address that an email change was requested
+   * @param {string} toEmail - Current email address
+   * @param {string} newEmail - Requested new address (shown masked)
+   * @returns {Promise<Object>} Email send result
+   */
+  async sendEmailChangeNotice(toEmail, newEmail) {
+    try {
+      return await this.sendEmail(toEmail, {
+        subject: "Your Chatterbox email is being changed",
+        html: this.generateEmailChangeNoticeHTML(this.maskEmail(newEmail)),
+        text: this.generateEmailChangeNoticeText(this.maskEmail(newEmail)),
+      });
     } catch (error) {
-      console.error("❌ Error sending login code:", error);
-      throw new Error(`Failed to send login code: ${error.message}`);
+      console.error("❌ Error sending email change notice:", error);
+      throw new Error(`Failed to send email change notice: ${error.message}`);
     }
   }
 
+  /**
+   * Mask the local part of an email address (e.g. "s***@example.com")
+   * @param {string} email - Email address
+   * @returns {string} Masked email address
+   */
+  maskEmail(email) {
+    const [local, domain] = email.split("@");
+    return `${local.slice(0, 1)}***@${domain}`;
+  }
+
   /**
    * Generate HTML template for login code email
    * @param {string} loginCode - 6-digit login code
+   * @param {string|null} loginLink - One-time login link, if enabled
+   * @param {Object} [strings] - Localized strings (see getStrings)
+   * @param {string} [locale] - Locale of the strings
    * @returns {string} HTML content
    */
-  generateLoginCodeHTML(loginCode) {
+  generateLoginCodeHTML(
+    loginCode,
+    loginLink = null,
+    strings = this.getStrings(DEFAULT_EMAIL_LOCALE, "loginCode"),
+    locale = DEFAULT_EMAIL_LOCALE
+  ) {
+    const linkBlock = loginLink
+      ? `
+        <div style="text-align: center; margin: 20px 0;">
+          <a href="${loginLink}" style="display: inline-block; background-color: #007AFF; color: #fff; text-decoration: none; padding: 12px 24px; border-radius: 8px; font-weight: bold;">
+            ${strings.linkButton}
+          </a>
+        </div>
+        <p style="color: #666; text-align: center; margin: 20px 0;">
+          ${strings.linkHint}
+        </p>`
+      : "";
+
     return `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-        <h2 style="color: #333; text-align: center;">🎯 Chatterbox Login</h2>
+      <div lang="${locale}" style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <h2 style="color: #333; text-align: center;">${strings.heading}</h2>
         <div style="background-color: #f8f9fa; border-radius: 8px; padding: 30px; text-align: center; margin: 20px 0;">
           <h1 style="font-size: 36px; margin: 0; color: #007AFF; letter-spacing: 8px; font-family: monospace;">
             ${loginCode}
           </h1>
         </div>
         <p style="color: #666; text-align: center; margin: 20px 0;">
-          Enter this code in your Chatterbox app to complete your login.
-        </p>
+          ${strings.instructions}
+        </p>${linkBlock}
         <p style="color: #999; text-align: center; font-size: 14px;">
-          This code will expire in 10 minutes for your security.
+          ${strings.expiry}
         </p>
         <hr style="border: none; border-top: 1px solid #eee; margin: 30px 0;">
         <p style="color: #999; text-align: center; font-size: 12px;">
-          If you didn't request this code, you can safely ignore this email.
+          ${strings.ignore}
         </p>
       </div>
     `;
@@ -96,16 +275,104 @@ class EmailService {
   /**
    * Generate plain text template for login code email
    * @param {string} loginCode - 6-digit login code
+   * @param {string|null} loginLink - One-time login link, if enabled
+   * @param {Object} [strings] - Localized strings (see getStrings)
+   * @returns {string} Plain text content
+   */
+  generateLoginCodeText(
+    loginCode,
+    loginLink = null,
+    strings = this.getStrings(DEFAULT_EMAIL_LOCALE, "loginCode")
+  ) {
+    const linkBlock = loginLink ? `\n\n${strings.linkIntro}\n${loginLink}` : "";
+
+    return `${strings.codeIntro} ${loginCode}
+
+${strings.instructions}${linkBlock}
+
+${strings.expiry}
+
+${strings.ignore}`;
+  }
+
+  /**
+   * Generate HTML template for email change confirmation
+   * @param {string} code - 6-digit confirmation code
+   * @returns {string} HTML content
+   */
+  generateEmailChangeCodeHTML(code) {
+    return `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <h2 style="color: #333; text-align: center;">🎯 Confirm Your New Email</h2>
+        <div style="background-color: #f8f9fa; border-radius: 8px; padding: 30px; text-align: center; margin: 20px 0;">
+          <h1 style="font-size: 36px; margin: 0; color: #007AFF; letter-spacing: 8px; font-family: monospace;">
+            ${code}
+          </h1>
+        </div>
+        <p style="color: #666; text-align: center; margin: 20px 0;">
+          Enter this code in your Chatterbox app to use this address for your account.
+        </p>
+        <p style="color: #999; text-align: center; font-size: 14px;">
+          This code will expire in 10 minutes for your security.
+        </p>
+        <hr style="border: none; border-top: 1px solid #eee; margin: 30px 0;">
+        <p style="color: #999; text-align: center; font-size: 12px;">
+          If you didn't request this change, you can safely ignore this email.
+        </p>
+      </div>
+    `;
+  }
+
+  /**
+   * Generate plain text template for email change confirmation
+   * @param {string} code - 6-digit confirmation code
    * @returns {string} Plain text content
    */
-  generateLoginCodeText(loginCode) {
-    return `Your Chatterbox login code is: ${loginCode}
+  generateEmailChangeCodeText(code) {
+    return `Your Chatterbox email confirmation code is: ${code}
 
-Enter this code in your Chatterbox app to complete your login.
+Enter this code in your Chatterbox app to use this address for your account.
 
 This code will expire in 10 minutes for your security.
 
-If you didn't request this code, you can safely ignore this email.`;
+If you didn't request this change, you can safely ignore this email.`;
+  }
+
+  /**
+   * Generate HTML template for the email change notice
+   * @param {string} maskedEmail - Masked new email address
+   * @returns {string} HTML content
+   */
+  generateEmailChangeNoticeHTML(maskedEmail) {
+    return `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <h2 style="color: #333; text-align: center;">🎯 Email Change Requested</h2>
+        <p style="color: #666; text-align: center; margin: 20px 0;">
+          Someone signed in to your Chatterbox account asked to change its email address to
+          <strong>${maskedEmail}</strong>.
+        </p>
+        <p style="color: #666; text-align: center; margin: 20px 0;">
+          The change only happens once the code sent to the new address is entered.
+        </p>
+        <hr style="border: none; border-top: 1px solid #eee; margin: 30px 0;">
+        <p style="color: #999; text-align: center; font-size: 12px;">
+          If this wasn't you, sign in and log out from all devices, then contact support.
+        </p>
+      </div>
+    `;
+  }
+
+  /**
+   * Generate plain text template for the email change notice
+   * @param {string} maskedEmail - Masked new email address
+   * @returns {string} Plain text content
+   */
+  generateEmailChangeNoticeText(maskedEmail) {
+    return `Someone signed in to your Chatterbox account asked to change its email address to ${maskedEmail}.
+
+The change only happens once the code sent to the new address is entered.
+
+If this wasn't you, sign in and log out from all devices, then contact support.`;
   }
 }
 
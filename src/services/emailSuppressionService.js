@@ -0,0 +1,139 @@
+/**
+ * Email Suppression Service
+ * Addresses we no longer send to because mail to them hard-bounced or the
+ * recipient marked it as spam. Addresses are stored as SHA-256 hashes, so
+ * the list can outlive deleted accounts without keeping their addresses.
+ */
+
+import crypto from "crypto";
+import databaseService from "./databaseService.js";
+import securityEventService from "./securityEventService.js";
+
+// messages shown to the user for each reason an address is suppressed
+const SUPPRESSION_MESSAGES = {
+  bounce:
+    "Emails to this address bounced, so we can't send you a code. Please check the address or use a different one.",
+  complaint:
+    "Emails to this address were reported as spam, so we no longer send to it. Please use a different address.",
+};
+
+class EmailSuppressionService {
+  constructor() {
+    this.reasons = Object.keys(SUPPRESSION_MESSAGES);
+  }
+
+  /**
+   * Hash an address the way it is stored on the suppression list
+   * @param {string} email - Email address
+   * @returns {string} Hex SHA-256 of the trimmed, lowercased address
+   */
+  hashEmail(email) {
+    return crypto
+      .createHash("sha256")
+      .update(email.trim().toLowerCase())
+      .digest("hex");
+  }
+
+  /**
+   * Find the suppressions of some addresses using an existing client
+   * @param {Object} client - PostgreSQL client
+   * @param {Array<string>} emails - Email addresses
+   * @returns {Promise<Array>} Suppressions as { email, reason, details, created_at }
+   */
+  async findByEmails(client, emails) {
+    const suppressions = [];
+
+    for (const email of emails) {
+      const result = await client.query(
+        `select reason, details, created_at from email_suppressions
+         where email_hash = $1`,
+        [this.hashEmail(email)]
+      );
+      suppressions.push(...result.rows.map((row) => ({ email, ...row })));
+    }
+
+    return suppressions;
+  }
+
+  /**
+   * Check whether an address is suppressed
+   * @param {string} email - Normalized email address
+   * @returns {Promise<Object|null>} { reason, message } if suppressed, or null
+   */
+  async checkEmail(email) {
+    const pool = databaseService.getPool();
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(
+        "select reason from email_suppressions where email_hash = $1",
+        [this.hashEmail(email)]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      const { reason } = result.rows[0];
+      return { reason, message: SUPPRESSION_MESSAGES[reason] };
+    } catch (error) {
+      throw new Error("database error checking email suppression");
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Add an address to the suppression list and record it in the account's
+   * audit trail. An address already on the list keeps its first reason.
+   * @param {string} email - Email address
+   * @param {string} reason - bounce or complaint
+   * @param {Object} [options] - Extra details
+   * @param {string} [options.details] - Provider's description of the event
+   * @param {string} [options.providerMessageId] - Provider ID of the email concerned
+   * @returns {Promise<boolean>} Whether the address was newly suppressed
+   */
+  async suppress(email, reason, options = {}) {
+    const { details = null, providerMessageId = null } = options;
+
+    if (!this.reasons.includes(reason)) {
+      throw new Error(`invalid suppression reason ${reason}`);
+    }
+
+    const pool = databaseService.getPool();
+    const client = await pool.connect();
+
+    try {
+      await client.query("begin");
+
+      const result = await client.query(
+        `insert into email_suppressions (email_hash, reason, details, provider_message_id)
+         values ($1, $2, $3, $4)
+         on conflict (email_hash) do nothing
+         returning suppressionid`,
+        [this.hashEmail(email), reason, details, providerMessageId]
+      );
+
+      if (result.rows.length > 0) {
+        await securityEventService.recordEvent(client, {
+          type: "email_suppressed",
+          email: email.toLowerCase(),
+          details: { reason },
+        });
+      }
+
+      await client.query("commit");
+      return result.rows.length > 0;
+    } catch (error) {
+      await client.query("rollback");
+      throw new Error("database error suppressing email");
+    } finally {
+      client.release();
+    }
+  }
+}
+
+// create singleton instance
+const emailSuppressionService = new EmailSuppressionService();
+
+export default emailSuppressionService;
@@ -0,0 +1,140 @@
+/**
+ * Email Webhook Service
+ * Verifies and handles delivery, bounce and complaint events sent by the
+ * email provider. Signatures follow the Svix scheme that Resend uses.
+ */
+
+import crypto from "crypto";
+import config from "../config/environment.js";
+import emailOutboxService from "./emailOutboxService.js";
+import emailSuppressionService from "./emailSuppressionService.js";
+
+class EmailWebhookService {
+  constructor() {
+    this.secret = config.emailWebhookSecret;
+    this.toleranceSeconds = 5 * 60; // reject events signed more than 5 minutes away from now
+  }
+
+  /**
+   * Check whether a webhook secret is configured
+   * @returns {boolean} Whether webhooks can be verified
+   */
+  isConfigured() {
+    return Boolean(this.secret);
+  }
+
+  /**
+   * Get the HMAC key from the configured secret ("whsec_" secrets are base64)
+   * @returns {Buffer} Signing key
+   */
+  getSigningKey() {
+    return this.secret.startsWith("whsec_")
+      ? Buffer.from(this.secret.slice("whsec_".length), "base64")
+      : Buffer.from(this.secret, "utf8");
+  }
+
+  /**
+   * Verify a webhook request. The signature header lists one or more
+   * space-separated "v1,<base64 HMAC-SHA256>" signatures of
+   * "<id>.<timestamp>.<body>".
+   * @param {Object} headers - Request headers
+   * @param {string} rawBody - Request body exactly as received
+   * @returns {boolean} Whether the request is authentic and recent
+   */
+  verifySignature(headers, rawBody) {
+    const id = headers["svix-id"];
+    const timestamp = headers["svix-timestamp"];
+    const signatures = headers["svix-signature"];
+
+    if (!this.isConfigured() || !id || !timestamp || !signatures || !rawBody) {
+      return false;
+    }
+
+    const seconds = parseInt(timestamp, 10);
+    if (
+      !Number.isFinite(seconds) ||
+      Math.abs(Date.now() / 1000 - seconds) > this.toleranceSeconds
+    ) {
+      return false;
+    }
+
+    const expected = crypto
+      .createHmac("sha256", this.getSigningKey())
+      .update(`${id}.${timestamp}.${rawBody}`)
+      .digest();
+
+    return signatures.split(" ").some((entry) => {
+      const [version, signature] = entry.split(",");
+      if (version !== "v1" || !signature) {
+        return false;
+      }
+
+      const given = Buffer.from(signature, "base64");
+      return (
+        given.length === expected.length &&
+        crypto.timingSafeEqual(given, expected)
+      );
+    });
+  }
+
+  /**
+   * Handle a verified event. Hard bounces and complaints put the recipients on
+   * the suppression list; soft bounces are only recorded.
+   * @param {Object} event - Parsed webhook payload ({ type, data })
+   * @returns {Promise<string>} What was done: delivered, soft_bounce,
+   *   suppressed or ignored
+   */
+  async handleEvent(event) {
+    const data = event?.data || {};
+    const providerMessageId = data.email_id || null;
+    const recipients = []
+      .concat(data.to || [])
+      .filter((email) => typeof email === "string")
+      .map((email) => email.trim().toLowerCase());
+
+    switch (event?.type) {
+      case "email.delivered":
+        await emailOutboxService.recordOutcome(providerMessageId, "delivered");
+        return "delivered";
+
+      case "email.bounced":
+        await emailOutboxService.recordOutcome(providerMessageId, "bounced");
+        if (data.bounce?.type !== "Permanent") {
+          return "soft_bounce";
+        }
+        await this.suppressAll(recipients, "bounce", {
+          details: data.bounce?.message || null,
+          providerMessageId,
+        });
+        return "suppressed";
+
+      case "email.complained":
+        await emailOutboxService.recordOutcome(providerMessageId, "complained");
+        await this.suppressAll(recipients, "complaint", { providerMessageId });
+        return "suppressed";
+
+      default:
+        return "ignored";
+    }
+  }
+
+  /**
+   * Suppress every recipient of an event
+   * @param {Array<string>} recipients - Email addresses
+   * @param {string} reason - bounce or complaint
+   * @param {Object} options - Passed to emailSuppressionService.suppress
+   * @returns {Promise<void>}
+   */
+  async suppressAll(recipients, reason, options) {
+    for (const email of recipients) {
+      if (await emailSuppressionService.suppress(email, reason, options)) {
+        console.warn(`🚫 Suppressed ${email} after a ${reason}`);
+      }
+    }
+  }
+}
+
+// create singleton instance
+const emailWebhookService = new EmailWebhookService();
+
+export default emailWebhookService;
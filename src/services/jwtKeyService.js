@@ -0,0 +1,213 @@
+/**
+ * JWT Key Service
+ * Manages the keys that sign and verify access tokens, so signing keys can
+ * be rotated without logging every user out
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import config from "../config/environment.js";
+
+// key type expected for each supported algorithm (null for shared secrets)
+const KEY_TYPES = {
+  HS256: null,
+  RS256: "rsa",
+  ES256: "ec",
+};
+
+// key ID assumed for tokens issued before tokens carried a kid header
+export const LEGACY_KEY_ID = "default";
+
+class JwtKeyService {
+  constructor() {
+    this.keys = null; // parsed keys, oldest first
+  }
+
+  /**
+   * Load the configured keys: the entries of JWT_KEYS_FILE, or JWT_SECRET as
+   * a single HS256 key when no key file is configured
+   * @returns {Array<Object>} Parsed keys, oldest first
+   * @throws {Error} If the key configuration is invalid
+   */
+  loadKeys() {
+    const entries = config.jwtKeysFile
+      ? this.readKeysFile(config.jwtKeysFile)
+      : [{ kid: LEGACY_KEY_ID, alg: "HS256", secret: config.jwtSecret }];
+
+    const keys = entries.map((entry) => this.parseKey(entry));
+
+    const kids = new Set();
+    for (const key of keys) {
+      if (kids.has(key.kid)) {
+        throw new Error(`duplicate jwt key id '${key.kid}'`);
+      }
+      kids.add(key.kid);
+    }
+
+    if (!keys.some((key) => !key.retired && key.signingKey)) {
+      throw new Error("no active jwt signing key configured");
+    }
+
+    this.keys = keys;
+    return keys;
+  }
+
+  /**
+   * Read key entries from a JSON file ({ "keys": [...] }, oldest first)
+   * @param {string} filePath - Path to the key file
+   * @returns {Array<Object>} Raw key entries
+   */
+  readKeysFile(filePath) {
+    let document;
+    try {
+      document = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (error) {
+      throw new Error(`failed to read jwt key file: ${error.message}`);
+    }
+
+    if (!Array.isArray(document?.keys) || document.keys.length === 0) {
+      throw new Error("jwt key file must contain a non-empty 'keys' array");
+    }
+    return document.keys;
+  }
+
+  /**
+   * Read a PEM value given inline or as a file path
+   * @param {string} value - Inline PEM
+   * @param {string} file - Path to a PEM file
+   * @returns {string|null} PEM, or null if neither is set
+   */
+  readPem(value, file) {
+    if (value) {
+      return value;
+    }
+    return file ? fs.readFileSync(file, "utf8") : null;
+  }
+
+  /**
+   * Parse one key entry
+   * @param {Object} entry - Raw entry: kid, alg, retired and either secret
+   *   (HS256) or privateKey/privateKeyFile, or publicKey/publicKeyFile for a
+   *   verify-only key (RS256, ES256)
+   * @returns {Object} Parsed key with kid, alg, retired, signingKey and
+   *   verificationKey
+   */
+  parseKey(entry) {
+    const { kid, alg, retired = false } = entry || {};
+
+    if (!kid || typeof kid !== "string") {
+      throw new Error("every jwt key needs a string 'kid'");
+    }
+    if (!(alg in KEY_TYPES)) {
+      throw new Error(
+        `jwt key '${kid}' has unsupported alg '${alg}' (use ${Object.keys(KEY_TYPES).join(", ")})`
+      );
+    }
+
+    if (alg === "HS256") {
+      if (!entry.secret || typeof entry.secret !== "string") {
+        throw new Error(`jwt key '${kid}' needs a 'secret'`);
+      }
+      return {
+        kid,
+        alg,
+        retired: Boolean(retired),
+        signingKey: entry.secret,
+        verificationKey: entry.secret,
+      };
+    }
+
+    let privateKey = null;
+    let publicKey;
+    try {
+      const privatePem = this.readPem(entry.privateKey, entry.privateKeyFile);
+      if (privatePem) {
+        privateKey = crypto.createPrivateKey(privatePem);
+        publicKey = crypto.createPublicKey(privateKey);
+      } else {
+        const publicPem = this.readPem(entry.publicKey, entry.publicKeyFile);
+        if (!publicPem) {
+          throw new Error("a private or public key is required");
+        }
+        publicKey = crypto.createPublicKey(publicPem);
+      }
+    } catch (error) {
+      throw new Error(`jwt key '${kid}' is invalid: ${error.message}`);
+    }
+
+    if (publicKey.asymmetricKeyType !== KEY_TYPES[alg]) {
+      throw new Error(`jwt key '${kid}' is not a ${KEY_TYPES[alg]} key`);
+    }
+    if (
+      alg === "ES256" &&
+      publicKey.asymmetricKeyDetails?.namedCurve !== "prime256v1"
+    ) {
+      throw new Error(`jwt key '${kid}' must use the P-256 curve for ES256`);
+    }
+
+    return {
+      kid,
+      alg,
+      retired: Boolean(retired),
+      signingKey: privateKey,
+      verificationKey: publicKey,
+    };
+  }
+
+  /**
+   * Get the loaded keys, loading them on first use
+   * @returns {Array<Object>} Parsed keys, oldest first
+   */
+  getKeys() {
+    return this.keys || this.loadKeys();
+  }
+
+  /**
+   * Get the key new tokens are signed with: the newest key that is not
+   * retired and has a secret or private key
+   * @returns {Object} Signing key
+   */
+  getSigningKey() {
+    const keys = this.getKeys();
+
+    for (let i = keys.length - 1; i >= 0; i--) {
+      if (!keys[i].retired && keys[i].signingKey) {
+        return keys[i];
+      }
+    }
+    throw new Error("no active jwt signing key configured");
+  }
+
+  /**
+   * Get the key for verifying a token
+   * @param {string} [kid] - Key ID from the token header
+   * @returns {Object|null} Key, or null if unknown or retired
+   */
+  getVerificationKey(kid = LEGACY_KEY_ID) {
+    const key = this.getKeys().find((candidate) => candidate.kid === kid);
+    return key && !key.retired ? key : null;
+  }
+
+  /**
+   * Get the public JSON Web Key Set of the asymmetric keys still in use.
+   * Shared secrets (HS256) are never published.
+   * @returns {Object} JWKS ({ keys: [...] })
+   */
+  getPublicJwks() {
+    return {
+      keys: this.getKeys()
+        .filter((key) => !key.retired && key.alg !== "HS256")
+        .map((key) => ({
+          ...key.verificationKey.export({ format: "jwk" }),
+          kid: key.kid,
+          alg: key.alg,
+          use: "sig",
+        })),
+    };
+  }
+}
+
+// create singleton instance
+const jwtKeyService = new JwtKeyService();
+
+export default jwtKeyService;
@@ -0,0 +1,181 @@
+/**
+ * Language Service
+ * Registry of the languages prompts can be written in. Languages are read
+ * from the database and cached, so adding one needs no deploy.
+ */
+
+import databaseService from "./databaseService.js";
+
+// language fields that can be changed, mapped to their columns
+const LANGUAGE_COLUMNS = {
+  name: "name",
+  nativeName: "native_name",
+  direction: "direction",
+  enabled: "is_enabled",
+};
+
+class LanguageService {
+  constructor() {
+    this.directions = ["ltr", "rtl"];
+    this.cacheTtlMs = 60 * 1000; // other instances see changes within a minute
+    this.languages = null; // all registered languages, enabled or not
+    this.loadedAt = 0;
+  }
+
+  /**
+   * Read the registry from the database into the cache
+   * @returns {Promise<Array>} All languages
+   */
+  async loadLanguages() {
+    const pool = databaseService.getPool();
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(
+        "select * from languages order by name"
+      );
+      this.languages = result.rows;
+      this.loadedAt = Date.now();
+      return this.languages;
+    } catch (error) {
+      throw new Error("database error loading languages");
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Drop the cached registry so the next read reloads it
+   */
+  invalidateCache() {
+    this.languages = null;
+  }
+
+  /**
+   * Get registered languages, from the cache when it is fresh
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.includeDisabled] - Also return disabled languages
+   * @returns {Promise<Array>} Language rows
+   */
+  async getLanguages({ includeDisabled = false } = {}) {
+    if (!this.languages || Date.now() - this.loadedAt > this.cacheTtlMs) {
+      await this.loadLanguages();
+    }
+
+    return includeDisabled
+      ? this.languages
+      : this.languages.filter((language) => language.is_enabled);
+  }
+
+  /**
+   * Get the codes of the enabled languages
+   * @returns {Promise<Array<string>>} Language codes
+   */
+  async getSupportedCodes() {
+    const languages = await this.getLanguages();
+    return languages.map((language) => language.code);
+  }
+
+  /**
+   * Check if a language is registered and enabled
+   * @param {string} code - Language code to check
+   * @returns {Promise<boolean>} Whether language is supported
+   */
+  async isLanguageSupported(code) {
+    return (await this.getSupportedCodes()).includes(code);
+  }
+
+  /**
+   * Check if a language is registered, even if disabled (editors can prepare
+   * translations before a language is enabled)
+   * @param {string} code - Language code to check
+   * @returns {Promise<boolean>} Whether language is registered
+   */
+  async isLanguageRegistered(code) {
+    const languages = await this.getLanguages({ includeDisabled: true });
+    return languages.some((language) => language.code === code);
+  }
+
+  /**
+   * Register a language
+   * @param {Object} language - Language details
+   * @param {string} language.code - Lowercase language code, e.g. es or pt-br
+   * @param {string} language.name - English name
+   * @param {string} language.nativeName - Name in the language itself
+   * @param {string} [language.direction] - ltr or rtl
+   * @param {boolean} [language.enabled] - Whether users can pick it
+   * @returns {Promise<Object|null>} Created language, or null if the code is taken
+   */
+  async createLanguage(language) {
+    const {
+      code,
+      name,
+      nativeName,
+      direction = "ltr",
+      enabled = true,
+    } = language;
+
+    const pool = databaseService.getPool();
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(
+        `insert into languages (code, name, native_name, direction, is_enabled)
+         values ($1, $2, $3, $4, $5)
+         on conflict (code) do nothing
+         returning *`,
+        [code, name, nativeName, direction, enabled]
+      );
+
+      this.invalidateCache();
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error("database error creating language");
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Update a language's names, direction or enabled flag
+   * @param {string} code - Language code
+   * @param {Object} changes - Fields to change (name, nativeName, direction, enabled)
+   * @returns {Promise<Object|null>} Updated language, or null if not registered
+   */
+  async updateLanguage(code, changes) {
+    const assignments = [];
+    const values = [code];
+
+    for (const [field, column] of Object.entries(LANGUAGE_COLUMNS)) {
+      if (changes[field] !== undefined) {
+        values.push(changes[field]);
+        assignments.push(`${column} = $${values.length}`);
+      }
+    }
+
+    const pool = databaseService.getPool();
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(
+        `update languages
+         set ${[...assignments, "updated_at = now()"].join(", ")}
+         where code = $1
+         returning *`,
+        values
+      );
+
+      this.invalidateCache();
+      return result.rows[0] || null;
+    } catch (error) {
+      throw new Error("database error updating language");
+    } finally {
+      client.release();
+    }
+  }
+}
+
+// create singleton instance
+const languageService = new LanguageService();
+
+export default languageService;
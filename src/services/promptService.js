@@ -1,27 +1,21 @@
 /**
  * Prompt Service
- * Handles prompt retrieval and language-specific operations
+ * Handles prompt retrieval, editing and language-specific operations
  */
 
 import databaseService from "./databaseService.js";
+import languageService from "./languageService.js";
+import { ValidationError } from "../middlewares/errorHandler.js";
 
 class PromptService {
   constructor() {
-    this.supportedLanguages = ["en", "fr"];
-  }
-
-  /**
-   * Check if language is supported
-   * @param {string} language - Language code to check
-   * @returns {boolean} Whether language is supported
-   */
-  isLanguageSupported(language) {
-    return this.supportedLanguages.includes(language);
+    this.maxTextLength = 1000; // characters per prompt text
+    this.maxFollowups = 20;
   }
 
   /**
    * Get all conversation prompts for a specific language
-   * @param {string} language - Language code ('en' or 'fr')
+   * @param {string} language - Code of an enabled language
    * @returns {Promise<Array>} Array of prompt sets
    */
   async getPromptsByLanguage(language) {
@@ -29,9 +23,10 @@ class PromptService {
       throw new Error("language parameter is required");
     }
 
-    if (!this.isLanguageSupported(language)) {
+    if (!(await languageService.isLanguageSupported(language))) {
+      const supported = await languageService.getSupportedCodes();
       throw new Error(
-        `unsupported language. supported languages: ${this.supportedLanguages.join(", ")}`
+        `unsupported language. supported languages: ${supported.join(", ")}`
       );
     }
 
@@ -47,8 +42,10 @@ class PromptService {
           p.position,
           t.text
         from prompts p
+        join prompt_sets s on s.prompt_set_id = p.prompt_set_id
         join translations t on p.promptid = t.promptid
         where t.language_code = $1
+        and s.deleted_at is null
         order by p.prompt_set_id, p.position
       `;
 
@@ -63,6 +60,122 @@ class PromptService {
     }
   }
 
+  /**
+   * Parse the since parameter of a delta download
+   * @param {string} since - A sync token from an earlier download, or an ISO 8601 timestamp
+   * @returns {Object|null} { version } or { timestamp }, or null if it's neither
+   */
+  parseSyncSince(since) {
+    if (/^\d+$/.test(since)) {
+      const version = Number(since);
+      return version <= 2147483647 ? { version } : null;
+    }
+
+    if (/^\d{4}-\d{2}-\d{2}/.test(since)) {
+      const timestamp = new Date(since);
+      return Number.isNaN(timestamp.getTime()) ? null : { timestamp };
+    }
+
+    return null;
+  }
+
+  /**
+   * Read the current sync token: the highest sync version of any set
+   * @param {Object} client - PostgreSQL client
+   * @returns {Promise<string>} Sync token
+   */
+  async readSyncToken(client) {
+    const result = await client.query(
+      "select coalesce(max(sync_version), 0) as version from prompt_sets"
+    );
+    return String(result.rows[0].version);
+  }
+
+  /**
+   * Get the current sync token. Read it before the prompts it goes with, so
+   * a change made in between is sent again on the next sync rather than missed.
+   * @returns {Promise<string>} Sync token
+   */
+  async getSyncToken() {
+    const pool = databaseService.getPool();
+    const client = await pool.connect();
+
+    try {
+      return await this.readSyncToken(client);
+    } catch (error) {
+      throw new Error("database error fetching sync token");
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get the prompt sets of a language that changed since a client's last
+   * sync. Sets that were deleted, or no longer have this language, are
+   * returned as tombstones.
+   * @param {string} language - Code of an enabled language
+   * @param {string} since - Sync token or ISO 8601 timestamp (see parseSyncSince)
+   * @returns {Promise<Object>} { promptSets, deleted: [{ id, deleted_at }], syncToken }
+   */
+  async getPromptChanges(language, since) {
+    const parsed = this.parseSyncSince(since);
+    if (!parsed) {
+      throw new Error("since must be a sync token or an ISO 8601 timestamp");
+    }
+
+    // timestamps can miss a change committed late; sync tokens can't.
+    // updated_at is a timestamp without time zone written by now(), so the
+    // instant is converted to the session's time zone before comparing
+    const [condition, value] =
+      parsed.version !== undefined
+        ? ["s.sync_version > $2", parsed.version]
+        : [
+            "s.updated_at > ($2::timestamptz at time zone current_setting('TimeZone'))",
+            parsed.timestamp.toISOString(),
+          ];
+
+    const pool = databaseService.getPool();
+    const client = await pool.connect();
+
+    try {
+      const syncToken = await this.readSyncToken(client);
+      const result = await client.query(
+        `select s.prompt_set_id,
+                s.deleted_at at time zone current_setting('TimeZone') as deleted_at,
+                s.updated_at at time zone current_setting('TimeZone') as updated_at,
+                p.promptid, p.type, p.position, t.text
+         from prompt_sets s
+         left join prompts p on p.prompt_set_id = s.prompt_set_id
+         left join translations t on t.promptid = p.promptid and t.language_code = $1
+         where ${condition}
+         order by s.prompt_set_id, p.position`,
+        [language, value]
+      );
+
+      const promptSets = this.groupPromptsIntoSets(
+        result.rows.filter((row) => !row.deleted_at && row.text !== null)
+      );
+
+      const sent = new Set(promptSets.map((promptSet) => promptSet.id));
+      const deleted = new Map();
+      for (const row of result.rows) {
+        if (!sent.has(row.prompt_set_id) && !deleted.has(row.prompt_set_id)) {
+          deleted.set(row.prompt_set_id, {
+            id: row.prompt_set_id,
+            deleted_at: row.deleted_at || row.updated_at,
+          });
+        }
+      }
+
+      return { promptSets, deleted: [...deleted.values()], syncToken };
+    } catch (error) {
+      console.error("database error fetching prompt changes:", error);
+      throw new Error("database error fetching prompt changes");
+    } finally {
+      client.release();
+    }
+  }
+
   /**
    * Group individual prompts into conversation sets
    * @param {Array} rows - Raw prompt data from database
@@ -121,19 +234,26 @@ class PromptService {
     const client = await pool.connect();
 
     try {
+      // prompts of deleted sets are kept for their tombstones, but not counted
+      const livePrompts = `prompts p
+        join prompt_sets s on s.prompt_set_id = p.prompt_set_id
+        where s.deleted_at is null`;
+      const liveTranslations = `translations t
+        join prompts p on p.promptid = t.promptid
+        join prompt_sets s on s.prompt_set_id = p.prompt_set_id
+        where s.deleted_at is null`;
+
       const queries = {
-        totalPrompts: "select count(*) as count from prompts",
-        mainPrompts:
-          "select count(*) as count from prompts where type = 'main'",
-        followupPrompts:
-          "select count(*) as count from prompts where type = 'followup'",
-        totalTranslations: "select count(*) as count from translations",
+        totalPrompts: `select count(*) as count from ${livePrompts}`,
+        mainPrompts: `select count(*) as count from ${livePrompts} and p.type = 'main'`,
+        followupPrompts: `select count(*) as count from ${livePrompts} and p.type = 'followup'`,
+        totalTranslations: `select count(*) as count from ${liveTranslations}`,
         languageBreakdown: `
           select 
-            language_code, 
+            t.language_code, 
             count(*) as count 
-          from translations 
-          group by language_code
+          from ${liveTranslations}
+          group by t.language_code
         `,
       };
 
@@ -156,7 +276,7 @@ class PromptService {
         followupPrompts: results.followupPrompts,
         totalTranslations: results.totalTranslations,
         promptSets: results.mainPrompts, // each main prompt represents one set
-        supportedLanguages: this.supportedLanguages,
+        supportedLanguages: await languageService.getSupportedCodes(),
         languageBreakdown: results.languageBreakdown,
       };
     } catch (error) {
@@ -201,6 +321,455 @@ class PromptService {
       totalSets: promptSets.length,
     };
   }
+
+  /**
+   * Validate the translations of a prompt set before saving it. Each language
+   * is checked with validatePromptSets, and all languages must have the same
+   * number of followups since they share the prompt rows.
+   * @param {Object} translations - Language code -> { main_prompt, followups }
+   * @returns {Object} Validation result with any issues found
+   */
+  validatePromptSetTranslations(translations) {
+    const sets = Object.entries(translations).map(([language, set]) => ({
+      ...set,
+      id: language,
+    }));
+    const { issues } = this.validatePromptSets(sets);
+
+    if (sets.length === 0) {
+      issues.push("at least one translation is required");
+    }
+
+    const followupCounts = new Set(
+      sets.map((set) =>
+        Array.isArray(set.followups) ? set.followups.length : 0
+      )
+    );
+    if (followupCounts.size > 1) {
+      issues.push("every language must have the same number of followups");
+    }
+
+    return {
+      isValid: issues.length === 0,
+      issues: issues,
+    };
+  }
+
+  /**
+   * Check the shape of untrusted translations (types and length limits)
+   * before they are validated, e.g. for sets read from an import file
+   * @param {*} translations - Expected language code -> { main_prompt, followups }
+   * @returns {Array<string>} Issues found, empty if the shape is right
+   */
+  checkPromptSetShape(translations) {
+    if (
+      !translations ||
+      typeof translations !== "object" ||
+      Array.isArray(translations)
+    ) {
+      return ["translations must be an object keyed by language code"];
+    }
+
+    const issues = [];
+    for (const [language, set] of Object.entries(translations)) {
+      if (!set || typeof set !== "object" || Array.isArray(set)) {
+        issues.push(`${language}: translation must be an object`);
+        continue;
+      }
+
+      if (
+        typeof set.main_prompt !== "string" ||
+        set.main_prompt.length > this.maxTextLength
+      ) {
+        issues.push(
+          `${language}: main prompt must be a string of at most ${this.maxTextLength} characters`
+        );
+      }
+
+      if (
+        !Array.isArray(set.followups) ||
+        set.followups.length > this.maxFollowups ||
+        set.followups.some(
+          (followup) =>
+            typeof followup !== "string" || followup.length > this.maxTextLength
+        )
+      ) {
+        issues.push(
+          `${language}: followups must be an array of at most ${this.maxFollowups} strings of at most ${this.maxTextLength} characters`
+        );
+      }
+    }
+
+    return issues;
+  }
+
+  /**
+   * Throw if a prompt set's translations can't be saved
+   * @param {Object} translations - Language code -> { main_prompt, followups }
+   * @throws {ValidationError} With the list of issues in error.issues
+   */
+  assertValidPromptSet(translations) {
+    const { isValid, issues } =
+      this.validatePromptSetTranslations(translations);
+
+    if (!isValid) {
+      const error = new ValidationError("Prompt set is invalid");
+      error.issues = issues;
+      throw error;
+    }
+  }
+
+  /**
+   * Load a prompt set with all its translations using an existing client
+   * @param {Object} client - PostgreSQL client
+   * @param {number} setId - Prompt set ID
+   * @returns {Promise<Object|null>} Prompt set, or null if it doesn't exist
+   */
+  async loadPromptSet(client, setId) {
+    const set = await client.query(
+      "select * from prompt_sets where prompt_set_id = $1 and deleted_at is null",
+      [setId]
+    );
+
+    if (set.rows.length === 0) {
+      return null;
+    }
+
+    const result = await client.query(
+      `select p.type, p.position, t.language_code, t.text
+       from prompts p
+       join translations t on t.promptid = p.promptid
+       where p.prompt_set_id = $1
+       order by p.position, t.language_code`,
+      [setId]
+    );
+
+    return {
+      id: setId,
+      key: set.rows[0].external_key,
+      translations: this.groupTranslations(result.rows),
+      createdAt: set.rows[0].created_at,
+      updatedAt: set.rows[0].updated_at,
+    };
+  }
+
+  /**
+   * Build a set's translations from its prompt rows
+   * @param {Array} rows - Rows with type, position, language_code and text
+   * @returns {Object} Language code -> { main_prompt, followups }
+   */
+  groupTranslations(rows) {
+    const translations = {};
+
+    for (const row of rows) {
+      if (!translations[row.language_code]) {
+        translations[row.language_code] = { main_prompt: "", followups: [] };
+      }
+
+      if (row.type === "main") {
+        translations[row.language_code].main_prompt = row.text;
+      } else {
+        translations[row.language_code].followups[row.position - 1] = row.text;
+      }
+    }
+
+    for (const translation of Object.values(translations)) {
+      translation.followups = translation.followups.filter(
+        (followup) => followup !== undefined
+      );
+    }
+
+    return translations;
+  }
+
+  /**
+   * Add a prompt_sets row for a new set using an existing client. The caller
+   * must hold the lock on prompt_sets so two sets can't take the same ID.
+   * @param {Object} client - PostgreSQL client inside a transaction
+   * @param {string|null} [key] - External key, "set-<id>" when omitted
+   * @returns {Promise<number|null>} New prompt set ID, or null if the key is taken
+   */
+  async insertPromptSet(client, key = null) {
+    const next = await client.query(
+      "select coalesce(max(prompt_set_id), 0) + 1 as set_id from prompt_sets"
+    );
+    const setId = next.rows[0].set_id;
+
+    let externalKey = key || `set-${setId}`;
+    const taken = await client.query(
+      "select 1 from prompt_sets where external_key = $1",
+      [externalKey]
+    );
+    if (taken.rows.length > 0) {
+      if (key) {
+        return null;
+      }
+      // an imported set already uses the default key
+      externalKey = `set-${setId}-${Date.now().toString(36)}`;
+    }
+
+    await client.query(
+      "insert into prompt_sets (prompt_set_id, external_key) values ($1, $2)",
+      [setId, externalKey]
+    );
+    return setId;
+  }
+
+  /**
+   * Make a prompt set's rows match the given translations. Only translations
+   * whose text changes (and their prompts and set) get a new updated_at.
+   * @param {Object} client - PostgreSQL client inside a transaction
+   * @param {number} setId - Prompt set ID (its prompt_sets row must exist)
+   * @param {Object} translations - Validated language code -> { main_prompt, followups }
+   * @returns {Promise<boolean>} Whether anything changed
+   */
+  async writePromptSet(client, setId, translations) {
+    const languages = Object.keys(translations);
+    const followupCount = translations[languages[0]].followups.length;
+
+    const existing = await client.query(
+      `select p.promptid, p.position, t.translationid, t.language_code, t.text
+       from prompts p
+       left join translations t on t.promptid = p.promptid
+       where p.prompt_set_id = $1`,
+      [setId]
+    );
+
+    // position -> { promptid, texts: language code -> translation row }
+    const prompts = new Map();
+    for (const row of existing.rows) {
+      if (!prompts.has(row.position)) {
+        prompts.set(row.position, { promptid: row.promptid, texts: new Map() });
+      }
+      if (row.language_code) {
+        prompts.get(row.position).texts.set(row.language_code, row);
+      }
+    }
+
+    let setChanged = false;
+
+    // followups past the new last one are removed
+    for (const [position, prompt] of prompts) {
+      if (position > followupCount) {
+        setChanged = true;
+        await client.query("delete from translations where promptid = $1", [
+          prompt.promptid,
+        ]);
+        await client.query("delete from prompts where promptid = $1", [
+          prompt.promptid,
+        ]);
+      }
+    }
+
+    for (let position = 0; position <= followupCount; position++) {
+      let prompt = prompts.get(position);
+      let changed = false;
+
+      if (!prompt) {
+        const inserted = await client.query(
+          `insert into prompts (type, prompt_set_id, position)
+           values ($1, $2, $3) returning promptid`,
+          [position === 0 ? "main" : "followup", setId, position]
+        );
+        prompt = { promptid: inserted.rows[0].promptid, texts: new Map() };
+      }
+
+      for (const language of languages) {
+        const { main_prompt, followups } = translations[language];
+        const text = position === 0 ? main_prompt : followups[position - 1];
+        const current = prompt.texts.get(language);
+
+        if (!current) {
+          await client.query(
+            `insert into translations (promptid, language_code, text)
+             values ($1, $2, $3)`,
+            [prompt.promptid, language, text]
+          );
+          changed = true;
+        } else if (current.text !== text) {
+          await client.query(
+            `update translations set text = $2, updated_at = now()
+             where translationid = $1`,
+            [current.translationid, text]
+          );
+          changed = true;
+        }
+      }
+
+      // languages left out of the request are removed
+      for (const [language, current] of prompt.texts) {
+        if (!languages.includes(language)) {
+          await client.query(
+            "delete from translations where translationid = $1",
+            [current.translationid]
+          );
+          changed = true;
+        }
+      }
+
+      if (changed && prompts.has(position)) {
+        await client.query(
+          "update prompts set updated_at = now() where promptid = $1",
+          [prompt.promptid]
+        );
+      }
+      setChanged = setChanged || changed;
+    }
+
+    if (setChanged) {
+      await this.touchPromptSet(client, setId);
+    }
+    return setChanged;
+  }
+
+  /**
+   * Mark a set as changed for syncing clients: a new updated_at and the next
+   * sync version. The caller must hold the lock on prompt_sets, so versions
+   * are handed out in commit order and a client can't skip one.
+   * @param {Object} client - PostgreSQL client inside a transaction
+   * @param {number} setId - Prompt set ID
+   * @returns {Promise<void>}
+   */
+  async touchPromptSet(client, setId) {
+    const next = await client.query(
+      "select coalesce(max(sync_version), 0) + 1 as version from prompt_sets"
+    );
+    await client.query(
+      `update prompt_sets set updated_at = now(), sync_version = $2
+       where prompt_set_id = $1`,
+      [setId, next.rows[0].version]
+    );
+  }
+
+  /**
+   * Get a prompt set with all its translations
+   * @param {number} setId - Prompt set ID
+   * @returns {Promise<Object|null>} Prompt set, or null if it doesn't exist
+   */
+  async getPromptSet(setId) {
+    const pool = databaseService.getPool();
+    const client = await pool.connect();
+
+    try {
+      return await this.loadPromptSet(client, setId);
+    } catch (error) {
+      throw new Error("database error fetching prompt set");
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Create a prompt set (main prompt and ordered followups) with its translations
+   * @param {Object} translations - Language code -> { main_prompt, followups }
+   * @param {string|null} [key] - External key, "set-<id>" when omitted
+   * @returns {Promise<Object|null>} Created prompt set, or null if the key is taken
+   * @throws {ValidationError} If the translations are invalid
+   */
+  async createPromptSet(translations, key = null) {
+    this.assertValidPromptSet(translations);
+
+    const pool = databaseService.getPool();
+    const client = await pool.connect();
+
+    try {
+      await client.query("begin");
+
+      // one create at a time, so two sets can't take the same ID
+      await client.query("lock table prompt_sets in share row exclusive mode");
+      const setId = await this.insertPromptSet(client, key);
+
+      if (!setId) {
+        await client.query("rollback");
+        return null;
+      }
+
+      await this.writePromptSet(client, setId, translations);
+      const promptSet = await this.loadPromptSet(client, setId);
+
+      await client.query("commit");
+      return promptSet;
+    } catch (error) {
+      await client.query("rollback");
+      throw new Error("database error creating prompt set");
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Replace a prompt set's prompts and translations. Followups are matched by
+   * position; languages missing from the request are removed.
+   * @param {number} setId - Prompt set ID
+   * @param {Object} translations - Language code -> { main_prompt, followups }
+   * @returns {Promise<Object|null>} Updated prompt set, or null if it doesn't exist
+   * @throws {ValidationError} If the translations are invalid
+   */
+  async updatePromptSet(setId, translations) {
+    this.assertValidPromptSet(translations);
+
+    const pool = databaseService.getPool();
+    const client = await pool.connect();
+
+    try {
+      await client.query("begin");
+
+      await client.query("lock table prompt_sets in share row exclusive mode");
+      const existing = await client.query(
+        "select prompt_set_id from prompt_sets where prompt_set_id = $1 and deleted_at is null",
+        [setId]
+      );
+
+      if (existing.rows.length === 0) {
+        await client.query("rollback");
+        return null;
+      }
+
+      await this.writePromptSet(client, setId, translations);
+      const promptSet = await this.loadPromptSet(client, setId);
+
+      await client.query("commit");
+      return promptSet;
+    } catch (error) {
+      await client.query("rollback");
+      throw new Error("database error updating prompt set");
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Soft-delete a prompt set. Its rows are kept so syncing clients get a
+   * tombstone, and importing its key again restores it.
+   * @param {number} setId - Prompt set ID
+   * @returns {Promise<boolean>} Whether the set existed
+   */
+  async deletePromptSet(setId) {
+    const pool = databaseService.getPool();
+    const client = await pool.connect();
+
+    try {
+      await client.query("begin");
+
+      await client.query("lock table prompt_sets in share row exclusive mode");
+      const result = await client.query(
+        `update prompt_sets set deleted_at = now()
+         where prompt_set_id = $1 and deleted_at is null`,
+        [setId]
+      );
+      if (result.rowCount > 0) {
+        await this.touchPromptSet(client, setId);
+      }
+
+      await client.query("commit");
+      return result.rowCount > 0;
+    } catch (error) {
+      await client.query("rollback");
+      throw new Error("database error deleting prompt set");
+    } finally {
+      client.release();
+    }
+  }
 }
 
 // create singleton instance
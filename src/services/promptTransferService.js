@@ -0,0 +1,375 @@
+/**
+ * Prompt Transfer Service
+ * Bulk export and import of prompt sets as JSON or CSV. Sets are matched by
+ * their external key, so an exported file can be edited and imported again.
+ */
+
+import databaseService from "./databaseService.js";
+import languageService from "./languageService.js";
+import promptService from "./promptService.js";
+import { formatCsv, parseCsv } from "../utils/csv.js";
+import { isValidPromptSetKey } from "../utils/validators.js";
+import { ValidationError } from "../middlewares/errorHandler.js";
+
+/**
+ * Serialize translations in a stable order, to tell whether an import changes a set
+ * @param {Object} translations - Language code -> { main_prompt, followups }
+ * @returns {string} Comparable representation
+ */
+function serializeTranslations(translations) {
+  return JSON.stringify(
+    Object.keys(translations)
+      .sort()
+      .map((language) => [
+        language,
+        translations[language].main_prompt,
+        translations[language].followups,
+      ])
+  );
+}
+
+class PromptTransferService {
+  constructor() {
+    this.formats = ["json", "csv"];
+    this.maxImportSets = 1000;
+  }
+
+  /**
+   * Get every prompt set with all its translations, in ID order
+   * @returns {Promise<Array>} Sets as { key, translations }
+   */
+  async exportPromptSets() {
+    const pool = databaseService.getPool();
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(
+        `select s.prompt_set_id, s.external_key, p.type, p.position,
+                t.language_code, t.text
+         from prompt_sets s
+         join prompts p on p.prompt_set_id = s.prompt_set_id
+         join translations t on t.promptid = p.promptid
+         where s.deleted_at is null
+         order by s.prompt_set_id, p.position, t.language_code`
+      );
+
+      // prompt set ID -> { key, rows }
+      const sets = new Map();
+      for (const row of result.rows) {
+        if (!sets.has(row.prompt_set_id)) {
+          sets.set(row.prompt_set_id, { key: row.external_key, rows: [] });
+        }
+        sets.get(row.prompt_set_id).rows.push(row);
+      }
+
+      return [...sets.values()].map(({ key, rows }) => ({
+        key,
+        translations: promptService.groupTranslations(rows),
+      }));
+    } catch (error) {
+      throw new Error("database error exporting prompt sets");
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Format exported sets as CSV: a "key,position" header followed by one
+   * column per registered language, and one row per prompt (position 0 is
+   * the main prompt, then the followups in order)
+   * @param {Array} promptSets - Sets as { key, translations }
+   * @returns {Promise<string>} CSV text
+   */
+  async toCsv(promptSets) {
+    const languages = (
+      await languageService.getLanguages({ includeDisabled: true })
+    ).map((language) => language.code);
+
+    const rows = [["key", "position", ...languages]];
+    for (const { key, translations } of promptSets) {
+      const followupCount = Math.max(
+        ...Object.values(translations).map((set) => set.followups.length)
+      );
+
+      for (let position = 0; position <= followupCount; position++) {
+        rows.push([
+          key,
+          position,
+          ...languages.map((language) => {
+            const set = translations[language];
+            if (!set) {
+              return "";
+            }
+            return position === 0
+              ? set.main_prompt
+              : set.followups[position - 1];
+          }),
+        ]);
+      }
+    }
+
+    return formatCsv(rows);
+  }
+
+  /**
+   * Read sets from a JSON import: an export ({ promptSets: [...] }) or a bare array
+   * @param {*} body - Parsed request body
+   * @returns {Array} Sets as { key, translations }
+   * @throws {ValidationError} If there is no list of sets
+   */
+  fromJson(body) {
+    const promptSets = Array.isArray(body) ? body : body?.promptSets;
+
+    if (!Array.isArray(promptSets)) {
+      throw new ValidationError("Import must contain a promptSets array");
+    }
+
+    return promptSets.map((set) => ({
+      key: set?.key,
+      translations: set?.translations,
+    }));
+  }
+
+  /**
+   * Read sets from a CSV import in the format written by toCsv. A language
+   * whose cells are all empty for a set is left out of that set.
+   * @param {string} text - CSV text
+   * @returns {Array} Sets as { key, translations, issues }
+   * @throws {ValidationError} If the CSV can't be read or has the wrong header
+   */
+  fromCsv(text) {
+    let rows;
+    try {
+      rows = parseCsv(typeof text === "string" ? text : "");
+    } catch (error) {
+      throw new ValidationError(`Invalid CSV: ${error.message}`);
+    }
+
+    const [header = [], ...records] = rows;
+    const columns = header.map((column) => column.trim());
+    const languages = columns.slice(2);
+
+    if (
+      columns[0] !== "key" ||
+      columns[1] !== "position" ||
+      languages.length === 0
+    ) {
+      throw new ValidationError(
+        'CSV header must be "key,position" followed by language codes'
+      );
+    }
+    if (new Set(languages).size !== languages.length) {
+      throw new ValidationError("CSV header lists a language more than once");
+    }
+
+    // key -> { rows: position -> texts by column, issues }
+    const sets = new Map();
+    records.forEach((record, index) => {
+      const line = index + 2; // the header is line 1
+      const key = (record[0] || "").trim();
+      const position = (record[1] || "").trim();
+
+      if (!sets.has(key)) {
+        sets.set(key, { rows: new Map(), issues: [] });
+      }
+      const set = sets.get(key);
+
+      if (!/^\d+$/.test(position)) {
+        set.issues.push(`line ${line}: position must be a whole number`);
+      } else if (set.rows.has(Number(position))) {
+        set.issues.push(`line ${line}: duplicate position ${position}`);
+      } else if (record.length > columns.length) {
+        set.issues.push(`line ${line}: more fields than header columns`);
+      } else {
+        set.rows.set(
+          Number(position),
+          record.slice(2).map((text) => text.trim())
+        );
+      }
+    });
+
+    return [...sets].map(([key, { rows: prompts, issues }]) => {
+      const count = prompts.size;
+      const positions = [...Array(count).keys()];
+
+      if (positions.some((position) => !prompts.has(position))) {
+        issues.push(`positions must run from 0 to ${count - 1} without gaps`);
+      }
+
+      const translations = {};
+      languages.forEach((language, column) => {
+        const texts = positions.map(
+          (position) => prompts.get(position)?.[column] || ""
+        );
+        if (texts.some((text) => text !== "")) {
+          translations[language] = {
+            main_prompt: texts[0],
+            followups: texts.slice(1),
+          };
+        }
+      });
+
+      return { key, translations, issues };
+    });
+  }
+
+  /**
+   * Find what's wrong with one imported set: its key, its shape, unknown
+   * languages, and then the checks of validatePromptSets
+   * @param {Object} set - Imported set ({ key, translations, issues? })
+   * @param {Set<string>} seenKeys - Keys of the sets before it in the file
+   * @returns {Promise<Array<string>>} Issues found
+   */
+  async checkImportedSet(set, seenKeys) {
+    const issues = [...(set.issues || [])];
+
+    if (!isValidPromptSetKey(set.key)) {
+      issues.push(
+        "key must be 1-100 letters, digits, dots, dashes or underscores"
+      );
+    } else if (seenKeys.has(set.key)) {
+      issues.push("key appears more than once in the import");
+    }
+    seenKeys.add(set.key);
+
+    const shapeIssues = promptService.checkPromptSetShape(set.translations);
+    if (shapeIssues.length > 0) {
+      return [...issues, ...shapeIssues];
+    }
+
+    for (const language of Object.keys(set.translations)) {
+      if (!(await languageService.isLanguageRegistered(language))) {
+        issues.push(`${language}: language is not registered`);
+      }
+    }
+
+    const { issues: contentIssues } =
+      promptService.validatePromptSetTranslations(set.translations);
+    return [...issues, ...contentIssues];
+  }
+
+  /**
+   * Upsert prompt sets by key in a single transaction. Every set is
+   * validated first; if any set has errors, or on a dry run, nothing is
+   * written. Sets missing from the import are left alone, and each imported
+   * set replaces the stored one (languages it leaves out are removed). A
+   * deleted set whose key is imported again is restored.
+   * @param {Array} promptSets - Sets from fromJson or fromCsv
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.dryRun] - Only report what would change
+   * @returns {Promise<Object>} Report: { dryRun, applied, summary, promptSets }
+   *   with each set's action (create, update, unchanged or error)
+   * @throws {ValidationError} If the import is empty or too large
+   */
+  async importPromptSets(promptSets, { dryRun = false } = {}) {
+    if (promptSets.length === 0) {
+      throw new ValidationError("Import contains no prompt sets");
+    }
+    if (promptSets.length > this.maxImportSets) {
+      throw new ValidationError(
+        `Import can contain at most ${this.maxImportSets} prompt sets`
+      );
+    }
+
+    const seenKeys = new Set();
+    const results = [];
+    for (const set of promptSets) {
+      const issues = await this.checkImportedSet(set, seenKeys);
+      results.push(
+        issues.length > 0
+          ? { key: set.key ?? null, action: "error", issues }
+          : { key: set.key, action: null }
+      );
+    }
+
+    const pool = databaseService.getPool();
+    const client = await pool.connect();
+
+    try {
+      await client.query("begin");
+
+      // no sets are created or re-keyed while the import runs
+      await client.query("lock table prompt_sets in share row exclusive mode");
+      const existing = await client.query(
+        "select prompt_set_id, external_key, deleted_at from prompt_sets"
+      );
+      const stored = new Map(
+        existing.rows.map((row) => [row.external_key, row])
+      );
+
+      for (const [index, result] of results.entries()) {
+        if (result.action === "error") {
+          continue;
+        }
+
+        const set = stored.get(result.key);
+        if (!set || set.deleted_at) {
+          result.action = "create";
+          if (set) {
+            result.id = set.prompt_set_id;
+            result.restored = true;
+          }
+          continue;
+        }
+
+        const current = await promptService.loadPromptSet(
+          client,
+          set.prompt_set_id
+        );
+        result.id = set.prompt_set_id;
+        result.action =
+          serializeTranslations(current.translations) ===
+          serializeTranslations(promptSets[index].translations)
+            ? "unchanged"
+            : "update";
+      }
+
+      const summary = { create: 0, update: 0, unchanged: 0, error: 0 };
+      results.forEach((result) => summary[result.action]++);
+
+      if (dryRun || summary.error > 0) {
+        await client.query("rollback");
+        return { dryRun, applied: false, summary, promptSets: results };
+      }
+
+      for (const [index, result] of results.entries()) {
+        const { translations } = promptSets[index];
+
+        if (result.restored) {
+          await client.query(
+            "update prompt_sets set deleted_at = null where prompt_set_id = $1",
+            [result.id]
+          );
+          // clients that got its tombstone must get it back, even if the text is the same
+          if (
+            !(await promptService.writePromptSet(
+              client,
+              result.id,
+              translations
+            ))
+          ) {
+            await promptService.touchPromptSet(client, result.id);
+          }
+        } else if (result.action === "create") {
+          result.id = await promptService.insertPromptSet(client, result.key);
+          await promptService.writePromptSet(client, result.id, translations);
+        } else if (result.action === "update") {
+          await promptService.writePromptSet(client, result.id, translations);
+        }
+      }
+
+      await client.query("commit");
+      return { dryRun, applied: true, summary, promptSets: results };
+    } catch (error) {
+      await client.query("rollback");
+      throw new Error("database error importing prompt sets");
+    } finally {
+      client.release();
+    }
+  }
+}
+
+// create singleton instance
+const promptTransferService = new PromptTransferService();
+
+export default promptTransferService;
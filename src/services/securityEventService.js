@@ -0,0 +1,134 @@
+/**
+ * Security Event Service
+ * Records an append-only audit trail of authentication and account security events
+ */
+
+import databaseService from "./databaseService.js";
+
+class SecurityEventService {
+  constructor() {
+    this.eventTypes = [
+      "login_code_requested",
+      "login_code_verified",
+      "login_code_failed",
+      "lockout_triggered",
+      "apple_sign_in",
+      "token_revoked",
+      "account_deactivated",
+      "account_reactivated",
+      "two_factor_enabled",
+      "two_factor_disabled",
+      "two_factor_verified",
+      "two_factor_failed",
+      "email_suppressed",
+    ];
+    this.outcomes = ["success", "failure", "blocked"];
+    this.defaultListLimit = 50;
+    this.maxListLimit = 100;
+  }
+
+  /**
+   * Record a security event using an existing client (for use inside
+   * transactions). The account is looked up by email when no ID is given.
+   * @param {Object} client - PostgreSQL client
+   * @param {Object} event - Event to record
+   * @param {string} event.type - One of eventTypes
+   * @param {string} [event.outcome] - success, failure or blocked
+   * @param {number} [event.accountId] - Account the event belongs to
+   * @param {string} [event.email] - Email the event concerns
+   * @param {string} [event.ipAddress] - Client IP address
+   * @param {string} [event.userAgent] - User-Agent header
+   * @param {Object} [event.details] - Extra event-specific data
+   * @returns {Promise<void>}
+   */
+  async recordEvent(client, event) {
+    const {
+      type,
+      outcome = "success",
+      accountId = null,
+      email = null,
+      ipAddress = null,
+      userAgent = null,
+      details = null,
+    } = event;
+
+    if (!this.eventTypes.includes(type) || !this.outcomes.includes(outcome)) {
+      throw new Error(`invalid security event ${type}/${outcome}`);
+    }
+
+    await client.query(
+      `insert into security_events
+         (accountid, email, event_type, outcome, ip_address, user_agent, details)
+       values (
+         coalesce($1, (select accountid from accounts where email = $2)),
+         $2, $3, $4, $5, $6, $7
+       )`,
+      [
+        accountId,
+        email,
+        type,
+        outcome,
+        ipAddress,
+        userAgent,
+        details ? JSON.stringify(details) : null,
+      ]
+    );
+  }
+
+  /**
+   * Record a security event outside a transaction. Failures are logged but
+   * never thrown, so auditing can't break the request being audited.
+   * @param {Object} event - Event to record (see recordEvent)
+   * @returns {Promise<void>}
+   */
+  async logEvent(event) {
+    const pool = databaseService.getPool();
+    const client = await pool.connect();
+
+    try {
+      await this.recordEvent(client, event);
+    } catch (error) {
+      console.error("error recording security event:", error);
+      // don't throw, the audited action already happened
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * List the most recent security events of an account, including events
+   * recorded for its email before the account was created
+   * @param {number} accountId - Account ID
+   * @param {number} [limit] - Maximum number of events (capped at maxListLimit)
+   * @returns {Promise<Array>} Events, newest first
+   */
+  async listEvents(accountId, limit = this.defaultListLimit) {
+    const pool = databaseService.getPool();
+    const client = await pool.connect();
+
+    try {
+      const query = `
+        select eventid, event_type, outcome, ip_address, user_agent, details, created_at
+        from security_events
+        where accountid = $1
+        or (accountid is null and email = (select email from accounts where accountid = $1))
+        order by created_at desc, eventid desc
+        limit $2
+      `;
+      const result = await client.query(query, [
+        accountId,
+        Math.min(Math.max(limit, 1), this.maxListLimit),
+      ]);
+      return result.rows;
+    } catch (error) {
+      throw new Error("database error listing security events");
+    } finally {
+      client.release();
+    }
+  }
+}
+
+// create singleton instance
+const securityEventService = new SecurityEventService();
+
+export default securityEventService;
@@ -0,0 +1,166 @@
+/**
+ * Session Service
+ * Tracks signed-in devices so users can list and revoke individual sessions
+ */
+
+import crypto from "crypto";
+import databaseService from "./databaseService.js";
+
+class SessionService {
+  constructor() {
+    this.sessionExpiryDays = 30;
+    this.lastSeenThrottleMs = 5 * 60 * 1000; // 5 minutes
+    this.maxTrackedSessions = 10000;
+    this.lastSeenWrites = new Map(); // Map of sessionId -> last write time
+  }
+
+  /**
+   * Create a session for a new login
+   * @param {number} accountId - User account ID
+   * @param {Object} context - Device details
+   * @param {string} [context.deviceName] - Device name reported by the app
+   * @param {string} [context.userAgent] - User-Agent header
+   * @param {string} [context.ipAddress] - Client IP address
+   * @returns {Promise<string>} New session ID
+   */
+  async createSession(accountId, context = {}) {
+    const pool = databaseService.getPool();
+    const client = await pool.connect();
+
+    try {
+      const sessionId = crypto.randomUUID();
+      const query = `
+        insert into sessions (sessionid, accountid, device_name, user_agent, ip_address)
+        values ($1, $2, $3, $4, $5)
+      `;
+      await client.query(query, [
+        sessionId,
+        accountId,
+        context.deviceName || null,
+        context.userAgent || null,
+        context.ipAddress || null,
+      ]);
+
+      this.lastSeenWrites.set(sessionId, Date.now());
+      return sessionId;
+    } catch (error) {
+      throw new Error("database error creating session");
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * List active sessions for an account, most recently used first
+   * @param {number} accountId - User account ID
+   * @returns {Promise<Array>} Active sessions
+   */
+  async listSessions(accountId) {
+    const pool = databaseService.getPool();
+    const client = await pool.connect();
+
+    try {
+      const query = `
+        select sessionid, device_name, user_agent, ip_address, created_at, last_seen_at
+        from sessions
+        where accountid = $1 and revoked_at is null
+        and last_seen_at > now() - interval '${this.sessionExpiryDays} days'
+        order by last_seen_at desc
+      `;
+      const result = await client.query(query, [accountId]);
+      return result.rows;
+    } catch (error) {
+      throw new Error("database error listing sessions");
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Revoke a session and the refresh tokens issued to it
+   * @param {number} accountId - Account the session must belong to
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<boolean>} Whether an active session was revoked
+   */
+  async revokeSession(accountId, sessionId) {
+    const pool = databaseService.getPool();
+    const client = await pool.connect();
+
+    try {
+      await client.query("begin");
+
+      const result = await client.query(
+        `update sessions set revoked_at = now()
+         where sessionid = $1 and accountid = $2 and revoked_at is null`,
+        [sessionId, accountId]
+      );
+
+      await client.query(
+        `update refresh_tokens set revoked_at = now()
+         where family_id = $1 and accountid = $2 and revoked_at is null`,
+        [sessionId, accountId]
+      );
+
+      await client.query("commit");
+
+      this.lastSeenWrites.delete(sessionId);
+      return result.rowCount > 0;
+    } catch (error) {
+      await client.query("rollback");
+      throw new Error("database error revoking session");
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Record session activity, writing at most once per throttle window
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<void>}
+   */
+  async touchSession(sessionId) {
+    const now = Date.now();
+    const lastWrite = this.lastSeenWrites.get(sessionId);
+
+    if (lastWrite && now - lastWrite < this.lastSeenThrottleMs) {
+      return;
+    }
+
+    if (this.lastSeenWrites.size >= this.maxTrackedSessions) {
+      this.pruneLastSeenWrites(now);
+    }
+    this.lastSeenWrites.set(sessionId, now);
+
+    const pool = databaseService.getPool();
+    const client = await pool.connect();
+
+    try {
+      await client.query(
+        "update sessions set last_seen_at = now() where sessionid = $1",
+        [sessionId]
+      );
+    } catch (error) {
+      console.error("error updating session last seen:", error);
+      // don't throw, as this is not critical
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Forget throttle entries whose window has passed
+   * @param {number} now - Current time in milliseconds
+   */
+  pruneLastSeenWrites(now) {
+    for (const [sessionId, lastWrite] of this.lastSeenWrites.entries()) {
+      if (now - lastWrite >= this.lastSeenThrottleMs) {
+        this.lastSeenWrites.delete(sessionId);
+      }
+    }
+  }
+}
+
+// create singleton instance
+const sessionService = new SessionService();
+
+export default sessionService;
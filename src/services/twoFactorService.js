@@ -0,0 +1,692 @@
+/**
+ * Two-Factor Service
+ * Optional TOTP (RFC 6238) second factor with recovery codes, built on crypto
+ */
+
+import crypto from "crypto";
+import config from "../config/environment.js";
+import databaseService from "./databaseService.js";
+import authService from "./authService.js";
+import securityEventService from "./securityEventService.js";
+import { decryptText, deriveKey, encryptText } from "../utils/encryption.js";
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+/**
+ * Encode bytes as unpadded RFC 4648 base32
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * Decode an RFC 4648 base32 string
+ * @param {string} input - Base32 string (padding and case are ignored)
+ * @returns {Buffer} Decoded bytes
+ */
+function base32Decode(input) {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of input.toUpperCase().replace(/=+$/, "")) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("invalid base32 character");
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+class TwoFactorService {
+  constructor() {
+    this.issuer = "Chatterbox";
+    this.stepSeconds = 30;
+    this.codeDigits = 6;
+    this.allowedDriftSteps = 1; // accept the previous and next code too
+    this.recoveryCodeCount = 10;
+    this.challengeExpiryMinutes = 5;
+    this.encryptionKey = deriveKey(config.twoFactorSecret);
+  }
+
+  /**
+   * Encrypt a TOTP secret for storage (AES-256-GCM)
+   * @param {string} secret - Base32 secret
+   * @returns {string} iv.tag.ciphertext, each base64url encoded
+   */
+  encryptSecret(secret) {
+    return encryptText(this.encryptionKey, secret);
+  }
+
+  /**
+   * Decrypt a stored TOTP secret
+   * @param {string} stored - Value produced by encryptSecret
+   * @returns {string} Base32 secret
+   */
+  decryptSecret(stored) {
+    return decryptText(this.encryptionKey, stored);
+  }
+
+  /**
+   * Generate the TOTP code for a time step (RFC 4226 HOTP with HMAC-SHA1)
+   * @param {string} secret - Base32 secret
+   * @param {number} step - Time step counter
+   * @returns {string} Zero-padded code
+   */
+  generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto
+      .createHmac("sha1", base32Decode(secret))
+      .update(counter)
+      .digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** this.codeDigits).padStart(
+      this.codeDigits,
+      "0"
+    );
+  }
+
+  /**
+   * Get the current time step
+   * @returns {number} Time step counter
+   */
+  currentStep() {
+    return Math.floor(Date.now() / 1000 / this.stepSeconds);
+  }
+
+  /**
+   * Find the time step a TOTP code belongs to, within the allowed drift.
+   * Steps at or before lastUsedStep are rejected so a code can't be replayed.
+   * @param {string} secret - Base32 secret
+   * @param {string} code - Code entered by the user
+   * @param {number|null} lastUsedStep - Step of the last accepted code
+   * @returns {number|null} Matching step, or null if the code is invalid
+   */
+  matchCode(secret, code, lastUsedStep = null) {
+    const now = this.currentStep();
+    const given = Buffer.from(String(code));
+
+    for (
+      let step = now - this.allowedDriftSteps;
+      step <= now + this.allowedDriftSteps;
+      step++
+    ) {
+      if (lastUsedStep !== null && step <= lastUsedStep) {
+        continue;
+      }
+
+      const expected = Buffer.from(this.generateCode(secret, step));
+      if (
+        given.length === expected.length &&
+        crypto.timingSafeEqual(given, expected)
+      ) {
+        return step;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Build the otpauth:// URI that authenticator apps read from a QR code
+   * @param {string} secret - Base32 secret
+   * @param {string} email - Account email, shown as the label
+   * @returns {string} otpauth URI
+   */
+  buildOtpauthUri(secret, email) {
+    const label = encodeURIComponent(`${this.issuer}:${email}`);
+    const params = new URLSearchParams({
+      secret: secret,
+      issuer: this.issuer,
+      algorithm: "SHA1",
+      digits: String(this.codeDigits),
+      period: String(this.stepSeconds),
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  /**
+   * Generate a recovery code such as "k7qpx-m2dve"
+   * @returns {string} Recovery code
+   */
+  generateRecoveryCode() {
+    const code = base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  }
+
+  /**
+   * Normalize a recovery code as typed by the user before hashing
+   * @param {string} code - Recovery code
+   * @returns {string} Lowercase code without separators
+   */
+  normalizeRecoveryCode(code) {
+    return String(code).toLowerCase().replace(/[\s-]/g, "");
+  }
+
+  /**
+   * Check whether an account has confirmed two-factor authentication
+   * @param {number} accountId - Account ID
+   * @returns {Promise<boolean>} Whether two-factor is enabled
+   */
+  async isEnabled(accountId) {
+    const pool = databaseService.getPool();
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(
+        `select 1 from two_factor_secrets
+         where accountid = $1 and confirmed_at is not null`,
+        [accountId]
+      );
+      return result.rows.length > 0;
+    } catch (error) {
+      throw new Error("database error checking two-factor status");
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Start enrolment with a fresh secret, replacing any unconfirmed one
+   * @param {Object} account - Account row
+   * @returns {Promise<Object|null>} { secret, otpauthUri }, or null if two-factor
+   *   is already enabled
+   */
+  async startEnrollment(account) {
+    const pool = databaseService.getPool();
+    const client = await pool.connect();
+
+    try {
+      await client.query("begin");
+
+      const existing = await client.query(
+        "select confirmed_at from two_factor_secrets where accountid = $1 for update",
+        [account.accountid]
+      );
+
+      if (existing.rows[0]?.confirmed_at) {
+        await client.query("rollback");
+        return null;
+      }
+
+      const secret = base32Encode(crypto.randomBytes(20));
+      await client.query(
+        "delete from two_factor_secrets where accountid = $1",
+        [account.accountid]
+      );
+      await client.query(
+        `insert into two_factor_secrets (accountid, secret_encrypted)
+         values ($1, $2)`,
+        [account.accountid, this.encryptSecret(secret)]
+      );
+
+      await client.query("commit");
+      return {
+        secret: secret,
+        otpauthUri: this.buildOtpauthUri(secret, account.email),
+      };
+    } catch (error) {
+      await client.query("rollback");
+      throw new Error("database error starting two-factor enrolment");
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Replace an account's recovery codes using an existing client
+   * @param {Object} client - PostgreSQL client
+   * @param {number} accountId - Account ID
+   * @returns {Promise<Array<string>>} New recovery codes (shown once)
+   */
+  async replaceRecoveryCodes(client, accountId) {
+    await client.query(
+      "delete from two_factor_recovery_codes where accountid = $1",
+      [accountId]
+    );
+
+    const codes = [];
+    for (let i = 0; i < this.recoveryCodeCount; i++) {
+      const code = this.generateRecoveryCode();
+      codes.push(code);
+      await client.query(
+        `insert into two_factor_recovery_codes (accountid, code_hash)
+         values ($1, $2)`,
+        [accountId, authService.hashLoginCode(this.normalizeRecoveryCode(code))]
+      );
+    }
+    return codes;
+  }
+
+  /**
+   * Record a wrong two-factor code outside a login challenge (for use inside
+   * the caller's transaction). The account's backoff grows exponentially
+   * after authService.loginBackoffThreshold consecutive failures, as it does
+   * for login codes.
+   * @param {Object} client - PostgreSQL client
+   * @param {number} accountId - Account ID
+   * @param {Object} [context] - Client details (ipAddress, userAgent) for the audit trail
+   * @returns {Promise<void>}
+   */
+  async recordFailedCode(client, accountId, context = {}) {
+    const result = await client.query(
+      `insert into two_factor_lockouts (accountid, failed_count, last_failed_at)
+       values ($1, 1, now())
+       on conflict (accountid) do update set
+         failed_count = case
+           when two_factor_lockouts.last_failed_at < now() - interval '${authService.loginFailureWindowMinutes} minutes' then 1
+           else two_factor_lockouts.failed_count + 1
+         end,
+         last_failed_at = now()
+       returning failed_count`,
+      [accountId]
+    );
+
+    const failedCount = result.rows[0].failed_count;
+    if (failedCount < authService.loginBackoffThreshold) {
+      return;
+    }
+
+    const lockSeconds = Math.min(
+      authService.loginBackoffBaseSeconds *
+        2 ** (failedCount - authService.loginBackoffThreshold),
+      authService.loginBackoffMaxSeconds
+    );
+
+    await client.query(
+      `update two_factor_lockouts set locked_until = now() + interval '${lockSeconds} seconds'
+       where accountid = $1`,
+      [accountId]
+    );
+
+    await securityEventService.recordEvent(client, {
+      type: "lockout_triggered",
+      outcome: "blocked",
+      accountId: accountId,
+      ipAddress: context.ipAddress,
+      userAgent: context.userAgent,
+      details: {
+        factor: "two_factor",
+        failedCount: failedCount,
+        lockSeconds: lockSeconds,
+      },
+    });
+  }
+
+  /**
+   * Read the remaining backoff for an account using an existing client
+   * @param {Object} client - PostgreSQL client
+   * @param {number} accountId - Account ID
+   * @returns {Promise<Object|null>} Seconds and time until retry, or null if not locked
+   */
+  async readBackoff(client, accountId) {
+    // compare against the database clock, which set locked_until
+    const result = await client.query(
+      `select locked_until, now() as db_now
+       from two_factor_lockouts
+       where accountid = $1 and locked_until > now()`,
+      [accountId]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const { locked_until, db_now } = result.rows[0];
+    const retryAfter = Math.max(
+      Math.ceil((new Date(locked_until) - new Date(db_now)) / 1000),
+      1
+    );
+    return {
+      retryAfter: retryAfter,
+      retryAt: new Date(Date.now() + retryAfter * 1000),
+    };
+  }
+
+  /**
+   * Get the remaining backoff for an account after wrong two-factor codes
+   * @param {number} accountId - Account ID
+   * @returns {Promise<Object|null>} Seconds and time until retry, or null if not locked
+   */
+  async getBackoff(accountId) {
+    const pool = databaseService.getPool();
+    const client = await pool.connect();
+
+    try {
+      return await this.readBackoff(client, accountId);
+    } catch (error) {
+      throw new Error("database error checking two-factor backoff");
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Confirm enrolment with the first code from the authenticator app. A wrong
+   * code counts towards the account's two-factor backoff.
+   * @param {number} accountId - Account ID
+   * @param {string} code - TOTP code
+   * @param {Object} [context] - Client details (ipAddress, userAgent) for the audit trail
+   * @returns {Promise<Array<string>|null>} Recovery codes, or null if there is
+   *   no pending enrolment or the code is wrong
+   */
+  async confirmEnrollment(accountId, code, context = {}) {
+    const pool = databaseService.getPool();
+    const client = await pool.connect();
+
+    try {
+      await client.query("begin");
+
+      const result = await client.query(
+        `select * from two_factor_secrets
+         where accountid = $1 and confirmed_at is null
+         for update`,
+        [accountId]
+      );
+      const pending = result.rows[0];
+      const step =
+        pending &&
+        this.matchCode(this.decryptSecret(pending.secret_encrypted), code);
+
+      if (!pending) {
+        await client.query("rollback");
+        return null;
+      }
+
+      if (step === null) {
+        await this.recordFailedCode(client, accountId, context);
+        await client.query("commit");
+        return null;
+      }
+
+      await client.query(
+        `update two_factor_secrets set confirmed_at = now(), last_used_step = $2
+         where accountid = $1`,
+        [accountId, step]
+      );
+      const recoveryCodes = await this.replaceRecoveryCodes(client, accountId);
+      await client.query(
+        "delete from two_factor_lockouts where accountid = $1",
+        [accountId]
+      );
+
+      await client.query("commit");
+      return recoveryCodes;
+    } catch (error) {
+      await client.query("rollback");
+      throw new Error("database error confirming two-factor enrolment");
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Check a TOTP or recovery code against an account's confirmed secret using
+   * an existing client. Accepted TOTP steps and recovery codes are consumed.
+   * @param {Object} client - PostgreSQL client
+   * @param {number} accountId - Account ID
+   * @param {string} code - TOTP code or recovery code
+   * @returns {Promise<string|null>} "totp" or "recovery_code", or null if invalid
+   */
+  async consumeCode(client, accountId, code) {
+    const result = await client.query(
+      `select * from two_factor_secrets
+       where accountid = $1 and confirmed_at is not null
+       for update`,
+      [accountId]
+    );
+    const stored = result.rows[0];
+
+    if (!stored) {
+      return null;
+    }
+
+    if (/^\d+$/.test(code)) {
+      const lastUsedStep =
+        stored.last_used_step === null ? null : Number(stored.last_used_step);
+      const step = this.matchCode(
+        this.decryptSecret(stored.secret_encrypted),
+        code,
+        lastUsedStep
+      );
+
+      if (step === null) {
+        return null;
+      }
+
+      await client.query(
+        "update two_factor_secrets set last_used_step = $2 where accountid = $1",
+        [accountId, step]
+      );
+      return "totp";
+    }
+
+    const recovery = await client.query(
+      `update two_factor_recovery_codes set used_at = now()
+       where accountid = $1 and code_hash = $2 and used_at is null
+       returning codeid`,
+      [accountId, authService.hashLoginCode(this.normalizeRecoveryCode(code))]
+    );
+    return recovery.rows.length > 0 ? "recovery_code" : null;
+  }
+
+  /**
+   * Turn two-factor off after checking a current code. A wrong code counts
+   * towards the account's two-factor backoff.
+   * @param {number} accountId - Account ID
+   * @param {string} code - TOTP code or recovery code
+   * @param {Object} [context] - Client details (ipAddress, userAgent) for the audit trail
+   * @returns {Promise<boolean>} Whether two-factor was disabled
+   */
+  async disable(accountId, code, context = {}) {
+    const pool = databaseService.getPool();
+    const client = await pool.connect();
+
+    try {
+      await client.query("begin");
+
+      if (!(await this.consumeCode(client, accountId, code))) {
+        await this.recordFailedCode(client, accountId, context);
+        await client.query("commit");
+        return false;
+      }
+
+      await client.query(
+        "delete from two_factor_recovery_codes where accountid = $1",
+        [accountId]
+      );
+      await client.query(
+        "delete from two_factor_challenges where accountid = $1",
+        [accountId]
+      );
+      await client.query(
+        "delete from two_factor_secrets where accountid = $1",
+        [accountId]
+      );
+      await client.query(
+        "delete from two_factor_lockouts where accountid = $1",
+        [accountId]
+      );
+
+      await client.query("commit");
+      return true;
+    } catch (error) {
+      await client.query("rollback");
+      throw new Error("database error disabling two-factor");
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Create the challenge that stands in for tokens until the second factor
+   * is verified
+   * @param {number} accountId - Account ID
+   * @param {string} method - First factor used (code, link or apple)
+   * @returns {Promise<Object>} { challengeToken, expiresAt }
+   */
+  async createChallenge(accountId, method) {
+    const pool = databaseService.getPool();
+    const client = await pool.connect();
+
+    try {
+      const challengeToken = crypto.randomBytes(32).toString("base64url");
+      await client.query(
+        `insert into two_factor_challenges (accountid, token_hash, method)
+         values ($1, $2, $3)`,
+        [accountId, authService.hashToken(challengeToken), method]
+      );
+
+      return {
+        challengeToken: challengeToken,
+        expiresAt: new Date(
+          Date.now() + this.challengeExpiryMinutes * 60 * 1000
+        ),
+      };
+    } catch (error) {
+      throw new Error("database error creating two-factor challenge");
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Answer a login challenge with a TOTP or recovery code. A wrong code counts
+   * as a guess, burns the challenge after maxCodeGuesses and counts towards
+   * the account's two-factor backoff; no code is checked during the backoff.
+   * @param {string} challengeToken - Challenge token from verify-login
+   * @param {string} code - TOTP code or recovery code
+   * @param {Object} [context] - Client details (ipAddress, userAgent) for the audit trail
+   * @returns {Promise<Object|null>} { accountId, method, factor } if verified,
+   *   { accountId, failed: true } for a wrong code, { accountId, backoff }
+   *   during the backoff, or null for an unknown, used or expired challenge
+   */
+  async verifyChallenge(challengeToken, code, context = {}) {
+    const pool = databaseService.getPool();
+    const client = await pool.connect();
+
+    try {
+      await client.query("begin");
+
+      const result = await client.query(
+        `select * from two_factor_challenges
+         where token_hash = $1 and used_at is null
+         and created_at > now() - interval '${this.challengeExpiryMinutes} minutes'
+         for update`,
+        [authService.hashToken(challengeToken)]
+      );
+      const challenge = result.rows[0];
+
+      if (!challenge) {
+        await client.query("commit");
+        return null;
+      }
+
+      const backoff = await this.readBackoff(client, challenge.accountid);
+      if (backoff) {
+        await client.query("commit");
+        return { accountId: challenge.accountid, backoff: backoff };
+      }
+
+      const factor = await this.consumeCode(client, challenge.accountid, code);
+
+      if (!factor) {
+        await client.query(
+          `update two_factor_challenges
+           set failed_attempts = failed_attempts + 1,
+               used_at = case when failed_attempts + 1 >= $2 then now() end
+           where challengeid = $1`,
+          [challenge.challengeid, authService.maxCodeGuesses]
+        );
+        await this.recordFailedCode(client, challenge.accountid, context);
+        await client.query("commit");
+        return { accountId: challenge.accountid, failed: true };
+      }
+
+      await client.query(
+        "update two_factor_challenges set used_at = now() where challengeid = $1",
+        [challenge.challengeid]
+      );
+      await client.query(
+        "delete from two_factor_lockouts where accountid = $1",
+        [challenge.accountid]
+      );
+
+      await client.query("commit");
+      return {
+        accountId: challenge.accountid,
+        method: challenge.method,
+        factor: factor,
+      };
+    } catch (error) {
+      await client.query("rollback");
+      throw new Error("database error verifying two-factor challenge");
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get an account's two-factor status
+   * @param {number} accountId - Account ID
+   * @returns {Promise<Object>} { enabled, confirmedAt, recoveryCodesLeft }
+   */
+  async getStatus(accountId) {
+    const pool = databaseService.getPool();
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(
+        `select s.confirmed_at, count(r.codeid) as recovery_count
+         from two_factor_secrets s
+         left join two_factor_recovery_codes r
+           on r.accountid = s.accountid and r.used_at is null
+         where s.accountid = $1 and s.confirmed_at is not null
+         group by s.confirmed_at`,
+        [accountId]
+      );
+      const row = result.rows[0];
+
+      return {
+        enabled: Boolean(row),
+        confirmedAt: row ? row.confirmed_at : null,
+        recoveryCodesLeft: row ? parseInt(row.recovery_count, 10) : 0,
+      };
+    } catch (error) {
+      throw new Error("database error fetching two-factor status");
+    } finally {
+      client.release();
+    }
+  }
+}
+
+// create singleton instance
+const twoFactorService = new TwoFactorService();
+
+export default twoFactorService;
@@ -0,0 +1,103 @@
+/**
+ * CSV Utilities
+ * Minimal RFC 4180 reading and writing: quoted fields may contain commas,
+ * quotes and line breaks. Fields a spreadsheet would run as a formula are
+ * written with a leading apostrophe, which is removed again on reading.
+ */
+
+// starts like a formula (=, +, -, @, tab or carriage return), after any
+// apostrophes a previous escape added
+const FORMULA_PATTERN = /^'*[=+\-@\t\r]/;
+
+/**
+ * Parse CSV text into rows of fields. Blank lines are skipped.
+ * @param {string} text - CSV text, with or without a byte order mark
+ * @returns {Array<Array<string>>} Rows of fields
+ * @throws {Error} If a quoted field is never closed
+ */
+export function parseCsv(text) {
+  const input = text.replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char !== '"') {
+        field += char;
+      } else if (input[i + 1] === '"') {
+        field += '"'; // escaped quote
+        i++;
+      } else {
+        inQuotes = false;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error("unterminated quoted field");
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows
+    .filter((fields) => fields.some((value) => value.trim() !== ""))
+    .map((fields) => fields.map(unescapeFormula));
+}
+
+/**
+ * Format rows as CSV text with CRLF line endings, quoting fields as needed
+ * @param {Array<Array<*>>} rows - Rows of values (null and undefined become empty)
+ * @returns {string} CSV text
+ */
+export function formatCsv(rows) {
+  return rows.map((row) => row.map(formatField).join(",") + "\r\n").join("");
+}
+
+/**
+ * Escape a value that could run as a formula, then quote it if it contains
+ * a comma, quote or line break
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function formatField(value) {
+  const raw = value === null || value === undefined ? "" : String(value);
+  const text = FORMULA_PATTERN.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Remove the apostrophe formatField put in front of a formula-like value
+ * @param {string} field - Parsed field
+ * @returns {string} Original value
+ */
+function unescapeFormula(field) {
+  return field.startsWith("'") && FORMULA_PATTERN.test(field)
+    ? field.slice(1)
+    : field;
+}
+
+export default {
+  parseCsv,
+  formatCsv,
+};
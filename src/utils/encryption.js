@@ -0,0 +1,58 @@
+/**
+ * Encryption Utilities
+ * AES-256-GCM encryption for values stored at rest (two-factor secrets,
+ * queued email bodies)
+ */
+
+import crypto from "crypto";
+
+/**
+ * Derive a 256-bit key from a configured secret
+ * @param {string} secret - Secret from the environment
+ * @returns {Buffer} Encryption key
+ */
+export function deriveKey(secret) {
+  return crypto.createHash("sha256").update(secret).digest();
+}
+
+/**
+ * Encrypt text for storage
+ * @param {Buffer} key - Key from deriveKey
+ * @param {string} text - Text to encrypt
+ * @returns {string} iv.tag.ciphertext, each base64url encoded
+ */
+export function encryptText(key, text) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const ciphertext = Buffer.concat([cipher.update(text), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext]
+    .map((part) => part.toString("base64url"))
+    .join(".");
+}
+
+/**
+ * Decrypt text produced by encryptText
+ * @param {Buffer} key - Key from deriveKey
+ * @param {string} stored - Value produced by encryptText
+ * @returns {string} Decrypted text
+ * @throws {Error} If the value was changed or encrypted with another key
+ */
+export function decryptText(key, stored) {
+  const [iv, tag, ciphertext] = stored
+    .split(".")
+    .map((part) => Buffer.from(part, "base64url"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([
+    decipher.update(ciphertext),
+    decipher.final(),
+  ]).toString();
+}
+
+export default {
+  deriveKey,
+  encryptText,
+  decryptText,
+};
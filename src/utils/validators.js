@@ -34,12 +34,13 @@ export function isValidLoginCode(code) {
 }
 
 /**
- * Validate language code
+ * Validate language code against a list of supported codes
  * @param {string} language - Language code to validate
- * @param {Array<string>} supportedLanguages - Array of supported language codes
+ * @param {Array<string>} supportedLanguages - Supported language codes
+ *   (see languageService.getSupportedCodes)
  * @returns {boolean} Whether language is supported
  */
-export function isValidLanguage(language, supportedLanguages = ["en", "fr"]) {
+export function isValidLanguage(language, supportedLanguages) {
   if (!language || typeof language !== "string") {
     return false;
   }
@@ -47,6 +48,52 @@ export function isValidLanguage(language, supportedLanguages = ["en", "fr"]) {
   return supportedLanguages.includes(language.trim().toLowerCase());
 }
 
+/**
+ * Validate the format of a new language code: a lowercase ISO 639 code with
+ * an optional region or script subtag (e.g. "es", "pt-br", "zh-hant")
+ * @param {string} code - Language code to validate
+ * @returns {boolean} Whether the code is well formed
+ */
+export function isValidLanguageCode(code) {
+  if (!code || typeof code !== "string") {
+    return false;
+  }
+
+  return /^[a-z]{2,3}(-[a-z0-9]{2,8})?$/.test(code);
+}
+
+/**
+ * Validate a prompt set's external key (e.g. "set-12" or "travel.airport-1"),
+ * used to match sets across imports and exports
+ * @param {string} key - Key to validate
+ * @returns {boolean} Whether the key is well formed
+ */
+export function isValidPromptSetKey(key) {
+  if (!key || typeof key !== "string") {
+    return false;
+  }
+
+  return /^[A-Za-z0-9][A-Za-z0-9._-]{0,99}$/.test(key);
+}
+
+/**
+ * Validate IANA timezone name (e.g. "America/Toronto")
+ * @param {string} timezone - Timezone name to validate
+ * @returns {boolean} Whether the runtime knows the timezone
+ */
+export function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== "string") {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat("en", { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
 /**
  * Validate password strength
  * @param {string} password - Password to validate
@@ -179,6 +226,9 @@ export default {
   isValidEmail,
   isValidLoginCode,
   isValidLanguage,
+  isValidLanguageCode,
+  isValidPromptSetKey,
+  isValidTimezone,
   validatePassword,
   sanitizeString,
   isValidJWTFormat,